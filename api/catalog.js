@@ -0,0 +1,99 @@
+// api/catalog.js - Item catalog admin API (Shopify product -> in-game items)
+// Any staff member can read the catalog; changing it needs the admin role.
+import { authenticateStaff, isAdmin } from '../lib/staff-auth.js';
+import { listCatalogEntries, saveCatalogEntry, deleteCatalogEntry } from '../lib/catalog.js';
+import { applyCors } from '../lib/cors.js';
+
+const RESULT_STATUS_CODES = {
+  invalid: 400,
+  not_found: 404
+};
+
+function sendCatalogResult(res, result, successStatus = 200) {
+  if (!result.ok) {
+    return res.status(RESULT_STATUS_CODES[result.code] || 400).json({
+      error: result.message,
+      code: result.code
+    });
+  }
+
+  const { ok, ...rest } = result;
+  return res.status(successStatus).json({ success: true, ...rest });
+}
+
+// CATALOG ACTIONS
+async function handleListEntries(req, res) {
+  const entries = await listCatalogEntries();
+  return res.status(200).json({ success: true, count: entries.length, entries });
+}
+
+async function handleSaveEntry(req, res, staff, entry) {
+  const result = await saveCatalogEntry(entry, staff.name);
+  return sendCatalogResult(res, result, result.created ? 201 : 200);
+}
+
+async function handleDeleteEntry(req, res, entryId) {
+  if (!entryId || typeof entryId !== 'string') {
+    return res.status(400).json({ error: 'entryId is required' });
+  }
+
+  return sendCatalogResult(res, await deleteCatalogEntry(entryId));
+}
+
+// MAIN HANDLER
+export default async function handler(req, res) {
+  applyCors(req, res, { methods: 'POST, GET, OPTIONS', headers: 'Content-Type, Authorization' });
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const staff = authenticateStaff(req);
+  if (!staff) {
+    return res.status(401).json({ error: 'Staff authentication required' });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    if (req.method === 'GET') {
+      return await handleListEntries(req, res);
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const { action, entry, entryId } = req.body || {};
+
+    if (action === 'list_entries') {
+      return await handleListEntries(req, res);
+    }
+
+    if (!isAdmin(staff)) {
+      return res.status(403).json({ error: 'Admin role required' });
+    }
+
+    if (action === 'save_entry') {
+      return await handleSaveEntry(req, res, staff, entry);
+    }
+
+    if (action === 'delete_entry') {
+      return await handleDeleteEntry(req, res, entryId);
+    }
+
+    return res.status(400).json({
+      error: 'Invalid action',
+      expected: ['list_entries', 'save_entry', 'delete_entry']
+    });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    console.error('Catalog API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timing: elapsed
+    });
+  }
+}
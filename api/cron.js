@@ -0,0 +1,45 @@
+// api/cron.js - Scheduled maintenance jobs (see vercel.json)
+import { retryPendingFulfillments } from '../lib/fulfillment.js';
+import { processRegistrationOutbox } from '../lib/outbox.js';
+import { processNotificationOutbox } from '../lib/notifications/index.js';
+import { snapshotQueueBacklog } from '../lib/analytics.js';
+import { applyRetentionPolicy } from '../lib/privacy.js';
+import { sendSlotReminders } from '../lib/scheduling.js';
+
+const JOBS = {
+  'shopify-fulfillment': retryPendingFulfillments,
+  'registration-outbox': processRegistrationOutbox,
+  'notifications': processNotificationOutbox,
+  'queue-snapshot': snapshotQueueBacklog,
+  'data-retention': applyRetentionPolicy,
+  'slot-reminders': sendSlotReminders
+};
+
+export default async function handler(req, res) {
+  // Vercel cron invocations carry `Authorization: Bearer <CRON_SECRET>`
+  if (!process.env.CRON_SECRET || req.headers['authorization'] !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const requested = req.query?.job;
+  const jobNames = requested ? [requested] : Object.keys(JOBS);
+  const unknown = jobNames.filter(name => !JOBS[name]);
+
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: 'Unknown job', unknown, available: Object.keys(JOBS) });
+  }
+
+  const startTime = Date.now();
+  const results = {};
+
+  for (const name of jobNames) {
+    try {
+      results[name] = { success: true, ...(await JOBS[name]()) };
+    } catch (error) {
+      console.error(`Cron job ${name} failed:`, error);
+      results[name] = { success: false, error: error.message };
+    }
+  }
+
+  return res.status(200).json({ results, timing: Date.now() - startTime });
+}
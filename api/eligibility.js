@@ -0,0 +1,82 @@
+// api/eligibility.js - Order eligibility rules for claiming
+// Any staff member can read the rules; changing them needs the admin role.
+// Each shop has its own rules (`storeId`, default shop when left out), and
+// `save_rules` only changes the fields it is given.
+import { authenticateStaff, isAdmin } from '../lib/staff-auth.js';
+import { DEFAULT_RULES, getEligibilityRules, saveEligibilityRules } from '../lib/eligibility.js';
+import { getStore } from '../lib/stores.js';
+import { applyCors } from '../lib/cors.js';
+
+// RULE ACTIONS
+async function handleGetRules(req, res, store) {
+  const rules = await getEligibilityRules(store.storeId);
+  return res.status(200).json({ success: true, storeId: store.storeId, rules, defaults: DEFAULT_RULES });
+}
+
+async function handleSaveRules(req, res, staff, store, rules) {
+  const result = await saveEligibilityRules(rules, staff.name, store.storeId);
+  if (!result.ok) {
+    return res.status(400).json({ error: result.message, code: result.code });
+  }
+  return res.status(200).json({ success: true, storeId: store.storeId, rules: result.rules });
+}
+
+// MAIN HANDLER
+export default async function handler(req, res) {
+  applyCors(req, res, { methods: 'POST, GET, OPTIONS', headers: 'Content-Type, Authorization' });
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const staff = authenticateStaff(req);
+  if (!staff) {
+    return res.status(401).json({ error: 'Staff authentication required' });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const params = req.method === 'GET' ? (req.query || {}) : (req.body || {});
+    const store = getStore(params.storeId);
+    if (!store) {
+      return res.status(404).json({ error: 'Unknown store', code: 'not_found' });
+    }
+
+    if (req.method === 'GET') {
+      return await handleGetRules(req, res, store);
+    }
+
+    const { action, rules } = params;
+
+    if (action === 'get_rules') {
+      return await handleGetRules(req, res, store);
+    }
+
+    if (!isAdmin(staff)) {
+      return res.status(403).json({ error: 'Admin role required' });
+    }
+
+    if (action === 'save_rules') {
+      return await handleSaveRules(req, res, staff, store, rules);
+    }
+
+    return res.status(400).json({
+      error: 'Invalid action',
+      expected: ['get_rules', 'save_rules']
+    });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    console.error('Eligibility API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timing: elapsed
+    });
+  }
+}
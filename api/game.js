@@ -0,0 +1,153 @@
+// api/game.js - In-game delivery API for our Roblox game servers
+// Called from HttpService with signed requests (see lib/game-auth.js):
+//   pending_deliveries - what a player who just joined is still owed
+//   confirm_item       - the server handed over (some of) one item of a claim
+import { readRawBody } from '../lib/http.js';
+import { verifyGameRequest } from '../lib/game-auth.js';
+import {
+  CLAIM_STATUSES,
+  findClaimsByRobloxUserId,
+  getDeliverableItems,
+  recordDeliveries
+} from '../lib/claims.js';
+import { syncClaimFulfillment } from '../lib/fulfillment.js';
+
+const RESULT_STATUS_CODES = {
+  not_found: 404,
+  unknown_item: 404,
+  ambiguous_item: 400,
+  invalid_quantity: 400,
+  over_delivery: 409,
+  invalid_transition: 409
+};
+
+const DELIVERABLE_STATUSES = [CLAIM_STATUSES.PENDING, CLAIM_STATUSES.ASSIGNED, CLAIM_STATUSES.PARTIAL];
+
+// Only what the game server needs to hand items over - no email or IP.
+// With a robloxUserId, only that account's share of the order is listed.
+function toGameClaim(claim, robloxUserId = null) {
+  return {
+    claimId: claim.claimId,
+    registrationId: claim.registrationId,
+    orderNumber: claim.orderNumber,
+    robloxUserId: claim.robloxUserId,
+    robloxUsername: claim.robloxUsername,
+    status: claim.status,
+    createdAt: claim.createdAt,
+    items: getDeliverableItems(claim, robloxUserId)
+  };
+}
+
+function readServer(body) {
+  const jobId = typeof body.jobId === 'string' ? body.jobId.trim() : '';
+  if (!jobId || jobId.length > 100) {
+    return null;
+  }
+  return { jobId, placeId: body.placeId ? body.placeId.toString() : null };
+}
+
+// GAME ACTIONS
+async function handlePendingDeliveries(req, res, body) {
+  const robloxUserId = body.robloxUserId ? body.robloxUserId.toString() : '';
+  if (!/^\d+$/.test(robloxUserId)) {
+    return res.status(400).json({ error: 'robloxUserId is required' });
+  }
+
+  const claims = (await findClaimsByRobloxUserId(robloxUserId))
+    .filter(claim => DELIVERABLE_STATUSES.includes(claim.status))
+    .map(claim => toGameClaim(claim, robloxUserId))
+    .filter(claim => claim.items.some(item => item.remaining > 0))
+    .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+  return res.status(200).json({ success: true, count: claims.length, claims });
+}
+
+async function handleConfirmItem(req, res, body) {
+  const { claimId, lineItemId } = body;
+  if (!claimId || typeof claimId !== 'string' || !lineItemId) {
+    return res.status(400).json({ error: 'claimId and lineItemId are required' });
+  }
+
+  const server = readServer(body);
+  if (!server) {
+    return res.status(400).json({ error: 'jobId of the delivering server is required' });
+  }
+
+  // Without a quantity everything still owed is confirmed, which makes a
+  // retried confirmation harmless
+  const delivery = { lineItemId, robloxUserId: body.robloxUserId, quantity: body.quantity };
+  const result = await recordDeliveries(claimId, [delivery], `game_server:${server.jobId}`, { server });
+  if (!result.ok) {
+    return res.status(RESULT_STATUS_CODES[result.code] || 400).json({ error: result.message, code: result.code });
+  }
+
+  const alreadyDelivered = result.delivered.length === 0;
+  let shopifySync;
+  if (!alreadyDelivered && result.claim.status === CLAIM_STATUSES.COMPLETED) {
+    try {
+      shopifySync = await syncClaimFulfillment(claimId, result.claim);
+    } catch (error) {
+      console.error(`Shopify fulfillment sync could not run for ${claimId}:`, error);
+      shopifySync = { status: 'retrying', lastError: error.message };
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    alreadyDelivered,
+    completed: result.claim.status === CLAIM_STATUSES.COMPLETED,
+    progress: result.progress,
+    claim: toGameClaim(result.claim, body.robloxUserId),
+    shopifySync
+  });
+}
+
+// MAIN HANDLER
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!process.env.GAME_SERVER_SECRET) {
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const rawBody = await readRawBody(req);
+    const verification = await verifyGameRequest(req, rawBody);
+    if (!verification.ok) {
+      return res.status(401).json({ error: 'Unauthorized', details: verification.message });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8') || '{}');
+    } catch (error) {
+      return res.status(400).json({ error: 'Body must be JSON' });
+    }
+
+    if (body.action === 'pending_deliveries') {
+      return await handlePendingDeliveries(req, res, body);
+    }
+
+    if (body.action === 'confirm_item') {
+      return await handleConfirmItem(req, res, body);
+    }
+
+    return res.status(400).json({
+      error: 'Invalid action',
+      expected: ['pending_deliveries', 'confirm_item']
+    });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    console.error('Game API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timing: elapsed
+    });
+  }
+}
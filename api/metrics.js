@@ -0,0 +1,72 @@
+// api/metrics.js - Claim funnel and delivery operations metrics for staff
+// GET (or POST action get_metrics) with `days` (1-90, default 7) and an
+// optional `storeId`. See lib/analytics.js for what is collected and how the
+// numbers are worked out.
+import { authenticateStaff } from '../lib/staff-auth.js';
+import { getClaimMetrics } from '../lib/analytics.js';
+import { getStore } from '../lib/stores.js';
+import { applyCors } from '../lib/cors.js';
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 90;
+
+// METRICS ACTIONS
+async function handleGetMetrics(req, res, { days, storeId }) {
+  const requestedDays = days === undefined || days === '' ? DEFAULT_DAYS : Number(days);
+  if (!Number.isInteger(requestedDays) || requestedDays < 1 || requestedDays > MAX_DAYS) {
+    return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_DAYS}` });
+  }
+
+  if (storeId && !getStore(storeId)) {
+    return res.status(404).json({ error: 'Unknown store', code: 'not_found' });
+  }
+
+  const metrics = await getClaimMetrics({ days: requestedDays, storeId: storeId || null });
+  return res.status(200).json({ success: true, days: requestedDays, ...metrics });
+}
+
+// MAIN HANDLER
+export default async function handler(req, res) {
+  applyCors(req, res, { methods: 'POST, GET, OPTIONS', headers: 'Content-Type, Authorization' });
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const staff = authenticateStaff(req);
+  if (!staff) {
+    return res.status(401).json({ error: 'Staff authentication required' });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    if (req.method === 'GET') {
+      return await handleGetMetrics(req, res, req.query || {});
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const { action, ...params } = req.body || {};
+
+    if (action === 'get_metrics') {
+      return await handleGetMetrics(req, res, params);
+    }
+
+    return res.status(400).json({
+      error: 'Invalid action',
+      expected: ['get_metrics']
+    });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    console.error('Metrics API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timing: elapsed
+    });
+  }
+}
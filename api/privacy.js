@@ -0,0 +1,102 @@
+// api/privacy.js - Export and erasure of a customer's data (admins only)
+// Customers are identified by `email` or `robloxUserId`. Every export and
+// erasure is recorded in the privacy log, which `list_log` returns. See
+// lib/privacy.js for what is exported, erased and removed by retention.
+import { authenticateStaff, isAdmin } from '../lib/staff-auth.js';
+import { exportSubjectData, eraseSubjectData, listPrivacyLog } from '../lib/privacy.js';
+import { applyCors } from '../lib/cors.js';
+
+const RESULT_STATUS_CODES = {
+  invalid: 400,
+  open_claims: 409
+};
+
+function sendResultError(res, result) {
+  return res.status(RESULT_STATUS_CODES[result.code] || 400).json({
+    error: result.message,
+    code: result.code,
+    ...(result.openClaimIds ? { openClaimIds: result.openClaimIds } : {})
+  });
+}
+
+// PRIVACY ACTIONS
+async function handleExport(req, res, staff, subject) {
+  const result = await exportSubjectData(subject, staff.name);
+  if (!result.ok) {
+    return sendResultError(res, result);
+  }
+  return res.status(200).json({ success: true, ...result.export });
+}
+
+async function handleErase(req, res, staff, subject, includeOpen) {
+  const result = await eraseSubjectData(subject, staff.name, { includeOpen: includeOpen === true });
+  if (!result.ok) {
+    return sendResultError(res, result);
+  }
+  return res.status(200).json({
+    success: true,
+    erasedClaimIds: result.erasedClaimIds,
+    removedFromClaimIds: result.removedFromClaimIds,
+    logId: result.logId
+  });
+}
+
+async function handleListLog(req, res, limit) {
+  const max = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+  const entries = await listPrivacyLog({ limit: max });
+  return res.status(200).json({ success: true, count: entries.length, entries });
+}
+
+// MAIN HANDLER
+export default async function handler(req, res) {
+  applyCors(req, res, { methods: 'POST, OPTIONS', headers: 'Content-Type, Authorization' });
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const staff = authenticateStaff(req);
+  if (!staff) {
+    return res.status(401).json({ error: 'Staff authentication required' });
+  }
+
+  if (!isAdmin(staff)) {
+    return res.status(403).json({ error: 'Admin role required' });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const { action, email, robloxUserId, includeOpen, limit } = req.body || {};
+
+    if (action === 'export_data') {
+      return await handleExport(req, res, staff, { email, robloxUserId });
+    }
+
+    if (action === 'erase_data') {
+      return await handleErase(req, res, staff, { email, robloxUserId }, includeOpen);
+    }
+
+    if (action === 'list_log') {
+      return await handleListLog(req, res, limit);
+    }
+
+    return res.status(400).json({
+      error: 'Invalid action',
+      expected: ['export_data', 'erase_data', 'list_log']
+    });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    console.error('Privacy API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timing: elapsed
+    });
+  }
+}
@@ -0,0 +1,108 @@
+// api/roster.js - Delivery server and staff roster configuration
+// Any staff member can see the roster and its current load; changing it
+// needs the admin role. Setting `active: false` takes a server or staff
+// member out of rotation without deleting it.
+import { authenticateStaff, isAdmin } from '../lib/staff-auth.js';
+import {
+  getRoster,
+  saveDeliveryServer,
+  deleteDeliveryServer,
+  saveDeliveryStaff,
+  deleteDeliveryStaff
+} from '../lib/roster.js';
+import { applyCors } from '../lib/cors.js';
+
+const RESULT_STATUS_CODES = {
+  invalid: 400,
+  not_found: 404
+};
+
+function sendRosterResult(res, result) {
+  if (!result.ok) {
+    return res.status(RESULT_STATUS_CODES[result.code] || 400).json({
+      error: result.message,
+      code: result.code
+    });
+  }
+
+  const { ok, ...rest } = result;
+  return res.status(result.created ? 201 : 200).json({ success: true, ...rest });
+}
+
+// ROSTER ACTIONS
+async function handleGetRoster(req, res) {
+  const roster = await getRoster();
+  return res.status(200).json({ success: true, ...roster });
+}
+
+// MAIN HANDLER
+export default async function handler(req, res) {
+  applyCors(req, res, { methods: 'POST, GET, OPTIONS', headers: 'Content-Type, Authorization' });
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const staff = authenticateStaff(req);
+  if (!staff) {
+    return res.status(401).json({ error: 'Staff authentication required' });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    if (req.method === 'GET') {
+      return await handleGetRoster(req, res);
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const { action, server, member, serverId, staffId } = req.body || {};
+
+    if (action === 'get_roster') {
+      return await handleGetRoster(req, res);
+    }
+
+    if (!isAdmin(staff)) {
+      return res.status(403).json({ error: 'Admin role required' });
+    }
+
+    if (action === 'save_server') {
+      return sendRosterResult(res, await saveDeliveryServer(server, staff.name));
+    }
+
+    if (action === 'delete_server') {
+      if (!serverId || typeof serverId !== 'string') {
+        return res.status(400).json({ error: 'serverId is required' });
+      }
+      return sendRosterResult(res, await deleteDeliveryServer(serverId));
+    }
+
+    if (action === 'save_staff') {
+      return sendRosterResult(res, await saveDeliveryStaff(member, staff.name));
+    }
+
+    if (action === 'delete_staff') {
+      if (!staffId || typeof staffId !== 'string') {
+        return res.status(400).json({ error: 'staffId is required' });
+      }
+      return sendRosterResult(res, await deleteDeliveryStaff(staffId));
+    }
+
+    return res.status(400).json({
+      error: 'Invalid action',
+      expected: ['get_roster', 'save_server', 'delete_server', 'save_staff', 'delete_staff']
+    });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    console.error('Roster API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timing: elapsed
+    });
+  }
+}
@@ -0,0 +1,94 @@
+// api/schedule.js - Staff availability for booked deliveries
+// Any staff member can see upcoming windows and publish or remove their own;
+// admins can do so for anyone. Moving a claim between slots is done from
+// the queue (api/staff.js, `reschedule`). See lib/scheduling.js.
+import { authenticateStaff, isAdmin } from '../lib/staff-auth.js';
+import {
+  listAvailabilityWindows,
+  publishAvailabilityWindow,
+  deleteAvailabilityWindow
+} from '../lib/scheduling.js';
+import { applyCors } from '../lib/cors.js';
+
+const RESULT_STATUS_CODES = {
+  invalid: 400,
+  forbidden: 403,
+  not_found: 404,
+  has_bookings: 409
+};
+
+function sendScheduleResult(res, result, successCode = 200) {
+  if (!result.ok) {
+    return res.status(RESULT_STATUS_CODES[result.code] || 400).json({
+      error: result.message,
+      code: result.code
+    });
+  }
+
+  const { ok, ...rest } = result;
+  return res.status(successCode).json({ success: true, ...rest });
+}
+
+// SCHEDULE ACTIONS
+async function handleListWindows(req, res, { storeId, staffId }) {
+  const windows = await listAvailabilityWindows({ storeId: storeId || null, staffId: staffId || null });
+  return res.status(200).json({ success: true, count: windows.length, windows });
+}
+
+// MAIN HANDLER
+export default async function handler(req, res) {
+  applyCors(req, res, { methods: 'POST, GET, OPTIONS', headers: 'Content-Type, Authorization' });
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const staff = authenticateStaff(req);
+  if (!staff) {
+    return res.status(401).json({ error: 'Staff authentication required' });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    if (req.method === 'GET') {
+      return await handleListWindows(req, res, req.query || {});
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const { action, window, windowId } = req.body || {};
+
+    if (action === 'list_windows') {
+      return await handleListWindows(req, res, req.body);
+    }
+
+    if (action === 'publish_window') {
+      const result = await publishAvailabilityWindow(window, staff.name, { admin: isAdmin(staff) });
+      return sendScheduleResult(res, result, 201);
+    }
+
+    if (action === 'delete_window') {
+      if (!windowId || typeof windowId !== 'string') {
+        return res.status(400).json({ error: 'windowId is required' });
+      }
+      return sendScheduleResult(res, await deleteAvailabilityWindow(windowId, staff.name, { admin: isAdmin(staff) }));
+    }
+
+    return res.status(400).json({
+      error: 'Invalid action',
+      expected: ['list_windows', 'publish_window', 'delete_window']
+    });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    console.error('Schedule API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timing: elapsed
+    });
+  }
+}
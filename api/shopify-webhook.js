@@ -0,0 +1,173 @@
+// api/shopify-webhook.js - Shopify webhooks for cancellations and refunds
+// Subscribe orders/cancelled, orders/updated and refunds/create to
+// https://<deployment>/api/shopify-webhook with the app's webhook secret.
+// Each shop in lib/stores.js signs with its own secret; the shop is known
+// from the X-Shopify-Shop-Domain header.
+import crypto from 'crypto';
+import { readRawBody } from '../lib/http.js';
+import { shopifyRequest } from '../lib/shopify.js';
+import { validateOrderForDelivery, getEligibilityRules } from '../lib/eligibility.js';
+import { CLAIM_STATUSES, findClaimsByOrderId, transitionClaim, addClaimNote } from '../lib/claims.js';
+import { getClaimRepository } from '../lib/storage/index.js';
+import { findStoreByShopDomain } from '../lib/stores.js';
+
+const HANDLED_TOPICS = ['orders/cancelled', 'orders/updated', 'refunds/create'];
+
+const CLOSED_STATUSES = [CLAIM_STATUSES.COMPLETED, CLAIM_STATUSES.CANCELLED, CLAIM_STATUSES.REFUNDED];
+
+function verifyShopifyHmac(rawBody, receivedHmac, secret) {
+  if (!receivedHmac) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(rawBody).digest('base64')
+  );
+  const received = Buffer.from(receivedHmac);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Maps a failed validateOrderForDelivery result onto the status that closes
+// the claim. Returns null when the failure should not pull the claim from
+// the queue (e.g. the order was fulfilled - usually by our own write-back -
+// or only fails a store rule such as the claim window). Partial refunds are
+// handled before this - see flagPartialRefund.
+function statusForRejection(order, validation) {
+  if (validation.code === 'cancelled') {
+    return CLAIM_STATUSES.CANCELLED;
+  }
+
+  if (validation.code === 'refunded' || validation.code === 'fully_refunded') {
+    return CLAIM_STATUSES.REFUNDED;
+  }
+
+  if (validation.code === 'payment_not_confirmed') {
+    // Refunded orders fail the payment check first, so look at the status itself
+    return order.financial_status === 'refunded'
+      ? CLAIM_STATUSES.REFUNDED
+      : CLAIM_STATUSES.CANCELLED;
+  }
+
+  return null;
+}
+
+// Some line items refunded, the rest still paid for
+function isPartialRefund(order) {
+  return order.financial_status === 'partially_refunded' && !order.cancelled_at;
+}
+
+// A partial refund leaves the claim open - the items still paid for are owed -
+// and flags it for staff to check what is left to hand over. Each claim is
+// flagged once per refund, however often Shopify repeats orders/updated.
+async function flagPartialRefund(order, topic, claims) {
+  const refundCount = (order.refunds || []).length;
+  const results = [];
+
+  for (const claim of claims) {
+    const flagged = await getClaimRepository().modify(claim.claimId, (current) => {
+      if (current.partialRefund && current.partialRefund.refundCount === refundCount) {
+        return { result: false };
+      }
+      return {
+        changes: { partialRefund: { refundCount, topic, flaggedAt: new Date().toISOString() } },
+        result: true
+      };
+    });
+
+    if (flagged === true) {
+      await addClaimNote(claim.claimId, 'shopify_webhook', `Part of the order was refunded in Shopify (${topic}) - check which items are still owed`);
+    }
+    results.push({ claimId: claim.claimId, action: flagged === true ? 'flagged' : 'skipped', status: claim.status });
+  }
+
+  return results;
+}
+
+async function loadOrderForTopic(topic, payload, store) {
+  if (topic === 'refunds/create') {
+    const data = await shopifyRequest(`/orders/${payload.order_id}.json`, { store });
+    return data.order;
+  }
+  return payload;
+}
+
+// Checked under the shop's own rules, so a payment status the shop accepts
+// (e.g. `authorized`) does not cancel claims its customers were allowed to make
+async function applyOrderToClaims(order, topic, store) {
+  const validation = validateOrderForDelivery(order, await getEligibilityRules(store.storeId));
+  if (validation.valid) {
+    return { orderId: order.id, action: 'none', reason: 'order still eligible' };
+  }
+
+  if (isPartialRefund(order)) {
+    const claims = (await findClaimsByOrderId(order.id)).filter(claim => !CLOSED_STATUSES.includes(claim.status));
+    return { orderId: order.id, action: 'flagged', claims: await flagPartialRefund(order, topic, claims) };
+  }
+
+  const targetStatus = statusForRejection(order, validation);
+  if (!targetStatus) {
+    return { orderId: order.id, action: 'none', reason: validation.reason };
+  }
+
+  const claims = await findClaimsByOrderId(order.id);
+  const results = [];
+
+  for (const claim of claims) {
+    if (CLOSED_STATUSES.includes(claim.status)) {
+      results.push({ claimId: claim.claimId, action: 'skipped', status: claim.status });
+      continue;
+    }
+
+    const result = await transitionClaim(claim.claimId, targetStatus, 'shopify_webhook', {
+      note: `${validation.reason} (${topic})`,
+      patch: { closedReason: validation.code }
+    });
+
+    results.push({
+      claimId: claim.claimId,
+      action: result.ok ? targetStatus : 'failed',
+      error: result.ok ? undefined : result.message
+    });
+  }
+
+  return { orderId: order.id, action: 'updated', claims: results };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const store = findStoreByShopDomain(req.headers['x-shopify-shop-domain']);
+  if (!store) {
+    return res.status(401).json({ error: 'Unknown shop' });
+  }
+
+  if (!store.webhookSecret) {
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const rawBody = await readRawBody(req);
+  if (!verifyShopifyHmac(rawBody, req.headers['x-shopify-hmac-sha256'], store.webhookSecret)) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  const topic = req.headers['x-shopify-topic'];
+  if (!HANDLED_TOPICS.includes(topic)) {
+    // Acknowledge so Shopify does not keep retrying topics we ignore
+    return res.status(200).json({ received: true, ignored: topic });
+  }
+
+  try {
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    const order = await loadOrderForTopic(topic, payload, store);
+    const result = await applyOrderToClaims(order, topic, store);
+
+    return res.status(200).json({ received: true, topic, storeId: store.storeId, ...result });
+  } catch (error) {
+    // A non-2xx response makes Shopify retry the delivery later
+    console.error(`Shopify webhook ${topic} failed:`, error);
+    return res.status(500).json({ error: 'Webhook processing failed', message: error.message });
+  }
+}
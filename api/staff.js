@@ -0,0 +1,372 @@
+// api/staff.js - Delivery staff queue API (list, search, history, assign, deliver, complete, reschedule)
+// Deliverers (role `staff`) work the queue; admins can also cancel and reopen
+// claims and act on claims assigned to someone else.
+import { authenticateStaff, isAdmin } from '../lib/staff-auth.js';
+import {
+  CLAIM_STATUSES,
+  listClaims,
+  searchClaims,
+  transitionClaim,
+  addClaimNote,
+  recordDeliveries
+} from '../lib/claims.js';
+import { listClaimEvents } from '../lib/claim-events.js';
+import { getClaimRepository } from '../lib/storage/index.js';
+import { syncClaimFulfillment } from '../lib/fulfillment.js';
+import { shopifyRequest } from '../lib/shopify.js';
+import { listStores, getStore, publicStoreInfo } from '../lib/stores.js';
+import { bookDeliverySlot, clearDeliverySlot } from '../lib/scheduling.js';
+import { applyCors } from '../lib/cors.js';
+
+const RESULT_STATUS_CODES = {
+  not_found: 404,
+  not_assignee: 403,
+  already_assigned: 409,
+  invalid_transition: 409,
+  unknown_item: 404,
+  ambiguous_item: 400,
+  invalid_quantity: 400,
+  over_delivery: 409,
+  claim_closed: 409,
+  slot_not_found: 404,
+  slot_unavailable: 409,
+  slot_full: 409
+};
+
+// Staff-facing names for the statuses they can set with update_status
+const STATUS_ALIASES = {
+  delivered: CLAIM_STATUSES.COMPLETED,
+  completed: CLAIM_STATUSES.COMPLETED,
+  failed: CLAIM_STATUSES.FAILED,
+  no_show: CLAIM_STATUSES.NO_SHOW,
+  released: CLAIM_STATUSES.PENDING,
+  reopened: CLAIM_STATUSES.PENDING,
+  pending_delivery: CLAIM_STATUSES.PENDING,
+  cancelled: CLAIM_STATUSES.CANCELLED
+};
+
+const ADMIN_ONLY_STATUSES = [CLAIM_STATUSES.CANCELLED];
+
+const MAX_NOTE_LENGTH = 1000;
+const MAX_DELIVERIES_PER_REQUEST = 50;
+
+function sendTransitionResult(res, result, extra = {}) {
+  if (!result.ok) {
+    return res.status(RESULT_STATUS_CODES[result.code] || 400).json({
+      error: result.message,
+      code: result.code
+    });
+  }
+
+  return res.status(200).json({ success: true, claim: result.claim, ...extra });
+}
+
+function cleanNote(note) {
+  if (note === undefined || note === null || note === '') {
+    return { note: null };
+  }
+
+  if (typeof note !== 'string' || note.trim().length > MAX_NOTE_LENGTH) {
+    return { error: `Notes must be text of at most ${MAX_NOTE_LENGTH} characters` };
+  }
+
+  return { note: note.trim() };
+}
+
+// STAFF ACTIONS
+async function handleListClaims(req, res, params) {
+  const status = params.status || CLAIM_STATUSES.PENDING;
+  if (!Object.values(CLAIM_STATUSES).includes(status)) {
+    return res.status(400).json({ error: 'Unknown status', allowed: Object.values(CLAIM_STATUSES) });
+  }
+  if (params.storeId && !getStore(params.storeId)) {
+    return res.status(400).json({ error: 'Unknown store', allowed: listStores().map(store => store.storeId) });
+  }
+
+  const claims = await listClaims({
+    status,
+    minAgeMinutes: Number(params.minAgeMinutes) || null,
+    maxAgeMinutes: Number(params.maxAgeMinutes) || null,
+    robloxUsername: params.robloxUsername ? String(params.robloxUsername).trim() : null,
+    storeId: params.storeId || null,
+    max: Math.min(Number(params.limit) || 50, 200)
+  });
+
+  return res.status(200).json({ success: true, count: claims.length, claims });
+}
+
+async function handleSearchClaims(req, res, query, storeId) {
+  if (!query || typeof query !== 'string' || query.trim().length < 2) {
+    return res.status(400).json({ error: 'Search for at least 2 characters' });
+  }
+
+  const claims = await searchClaims(query, { storeId: storeId || null });
+  return res.status(200).json({ success: true, count: claims.length, claims });
+}
+
+// Only what the detail view shows from the Shopify order
+function summarizeShopifyOrder(order) {
+  return {
+    name: order.name,
+    createdAt: order.created_at,
+    financialStatus: order.financial_status,
+    fulfillmentStatus: order.fulfillment_status,
+    cancelledAt: order.cancelled_at,
+    totalPrice: order.total_price,
+    currency: order.currency,
+    tags: order.tags,
+    note: order.note,
+    customerName: `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim(),
+    lineItems: (order.line_items || []).map(item => ({
+      title: item.title,
+      variantTitle: item.variant_title,
+      sku: item.sku,
+      quantity: item.quantity
+    }))
+  };
+}
+
+async function handleGetClaim(req, res, claimId) {
+  const claim = await getClaimRepository().getById(claimId);
+  if (!claim) {
+    return res.status(404).json({ error: 'Claim not found', code: 'not_found' });
+  }
+
+  // The claim is what matters; a Shopify outage only costs the order panel
+  let shopifyOrder = null;
+  let shopifyError = null;
+  const store = getStore(claim.storeId);
+  if (claim.orderId && !store) {
+    shopifyError = `Store ${claim.storeId} is no longer configured`;
+  } else if (claim.orderId) {
+    try {
+      const data = await shopifyRequest(`/orders/${claim.orderId}.json`, { store });
+      shopifyOrder = summarizeShopifyOrder(data.order);
+    } catch (error) {
+      shopifyError = error.message;
+    }
+  }
+
+  const events = await listClaimEvents(claimId);
+
+  return res.status(200).json({
+    success: true,
+    claim,
+    store: store ? publicStoreInfo(store) : null,
+    shopifyOrder,
+    shopifyError,
+    events
+  });
+}
+
+async function handleListEvents(req, res, claimId) {
+  const events = await listClaimEvents(claimId);
+  return res.status(200).json({ success: true, claimId, count: events.length, events });
+}
+
+// Moves a claim to another booked slot, or back to walk-in without `slotId`
+async function handleReschedule(req, res, staff, claimId, slotId) {
+  if (slotId !== undefined && slotId !== null && typeof slotId !== 'string') {
+    return res.status(400).json({ error: 'slotId must be a slot ID, or left out to make the claim a walk-in' });
+  }
+
+  const result = slotId
+    ? await bookDeliverySlot(claimId, slotId, staff.name)
+    : await clearDeliverySlot(claimId, staff.name);
+  return sendTransitionResult(res, result);
+}
+
+async function handleAssign(req, res, staff, claimId) {
+  const result = await transitionClaim(claimId, CLAIM_STATUSES.ASSIGNED, staff.name, {
+    check: (claim) => {
+      if (claim.status === CLAIM_STATUSES.ASSIGNED && claim.deliveryStaffAssigned !== staff.name) {
+        return { code: 'already_assigned', message: `Claim is already assigned to ${claim.deliveryStaffAssigned}` };
+      }
+      return null;
+    }
+  });
+
+  return sendTransitionResult(res, result);
+}
+
+async function handleUpdateStatus(req, res, staff, claimId, requestedStatus, rawNote) {
+  const status = STATUS_ALIASES[requestedStatus];
+  if (!status) {
+    return res.status(400).json({ error: 'Unknown status', allowed: Object.keys(STATUS_ALIASES) });
+  }
+
+  if (ADMIN_ONLY_STATUSES.includes(status) && !isAdmin(staff)) {
+    return res.status(403).json({ error: 'Admin role required', code: 'admin_required' });
+  }
+
+  const { note, error } = cleanNote(rawNote);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const result = await transitionClaim(claimId, status, staff.name, {
+    note,
+    admin: isAdmin(staff),
+    // Queue the Shopify write-back with the status change, so the cron job
+    // still picks it up if the immediate attempt below never gets to run
+    patch: status === CLAIM_STATUSES.COMPLETED
+      ? { shopifySync: { status: 'retrying', attempts: 0, nextAttemptAt: new Date().toISOString() } }
+      : undefined,
+    check: (claim) => {
+      // Anyone may put a claim back in the queue; only the assignee (or an
+      // admin) may close it
+      if (status !== CLAIM_STATUSES.PENDING && !isAdmin(staff) &&
+        claim.deliveryStaffAssigned && claim.deliveryStaffAssigned !== staff.name) {
+        return { code: 'not_assignee', message: `Claim is assigned to ${claim.deliveryStaffAssigned}` };
+      }
+      return null;
+    }
+  });
+
+  if (!result.ok || status !== CLAIM_STATUSES.COMPLETED) {
+    return sendTransitionResult(res, result);
+  }
+
+  const shopifySync = await syncIfCompleted(claimId, result);
+  return sendTransitionResult(res, result, { shopifySync });
+}
+
+async function syncIfCompleted(claimId, result) {
+  if (!result.ok || result.claim.status !== CLAIM_STATUSES.COMPLETED) {
+    return undefined;
+  }
+
+  try {
+    return await syncClaimFulfillment(claimId, result.claim);
+  } catch (error) {
+    console.error(`Shopify fulfillment sync could not run for ${claimId}:`, error);
+    return { status: 'retrying', lastError: error.message };
+  }
+}
+
+// Records what was handed over in a session, e.g. part of a bulk order or
+// one alt account's share. The claim ends up partially delivered or, once
+// nothing is owed, completed.
+async function handleRecordDelivery(req, res, staff, claimId, deliveries) {
+  if (!Array.isArray(deliveries) || deliveries.length === 0 || deliveries.length > MAX_DELIVERIES_PER_REQUEST) {
+    return res.status(400).json({
+      error: `deliveries must list 1 to ${MAX_DELIVERIES_PER_REQUEST} { lineItemId, robloxUserId, quantity } entries`
+    });
+  }
+
+  const result = await recordDeliveries(claimId, deliveries, staff.name, {
+    check: (claim) => {
+      if (claim.status !== CLAIM_STATUSES.ASSIGNED || claim.deliveryStaffAssigned !== staff.name) {
+        return { code: 'not_assignee', message: 'Assign the claim to yourself before recording deliveries' };
+      }
+      return null;
+    }
+  });
+
+  const shopifySync = await syncIfCompleted(claimId, result);
+  return sendTransitionResult(res, result, { delivered: result.delivered, progress: result.progress, shopifySync });
+}
+
+async function handleAddNote(req, res, staff, claimId, rawNote) {
+  const { note, error } = cleanNote(rawNote);
+  if (error || !note) {
+    return res.status(400).json({ error: error || 'Note is required' });
+  }
+
+  const result = await addClaimNote(claimId, staff.name, note);
+  if (!result.ok) {
+    return res.status(RESULT_STATUS_CODES[result.code] || 400).json({ error: result.message, code: result.code });
+  }
+
+  return res.status(200).json({ success: true, note: result.note });
+}
+
+// MAIN HANDLER
+export default async function handler(req, res) {
+  applyCors(req, res, { methods: 'POST, GET, OPTIONS', headers: 'Content-Type, Authorization' });
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const staff = authenticateStaff(req);
+  if (!staff) {
+    return res.status(401).json({ error: 'Staff authentication required' });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    if (req.method === 'GET') {
+      return await handleListClaims(req, res, req.query || {});
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const { action, claimId, status, note, deliveries, query, storeId, slotId } = req.body || {};
+
+    if (action === 'whoami') {
+      return res.status(200).json({ success: true, name: staff.name, role: staff.role });
+    }
+
+    if (action === 'list_claims') {
+      return await handleListClaims(req, res, req.body);
+    }
+
+    if (action === 'search_claims') {
+      return await handleSearchClaims(req, res, query, storeId);
+    }
+
+    if (action === 'list_stores') {
+      return res.status(200).json({ success: true, stores: listStores().map(publicStoreInfo) });
+    }
+
+    if (!claimId || typeof claimId !== 'string') {
+      return res.status(400).json({ error: 'claimId is required' });
+    }
+
+    if (action === 'get_claim') {
+      return await handleGetClaim(req, res, claimId);
+    }
+
+    if (action === 'list_events') {
+      return await handleListEvents(req, res, claimId);
+    }
+
+    if (action === 'assign') {
+      return await handleAssign(req, res, staff, claimId);
+    }
+
+    if (action === 'update_status') {
+      return await handleUpdateStatus(req, res, staff, claimId, status, note);
+    }
+
+    if (action === 'record_delivery') {
+      return await handleRecordDelivery(req, res, staff, claimId, deliveries);
+    }
+
+    if (action === 'add_note') {
+      return await handleAddNote(req, res, staff, claimId, note);
+    }
+
+    if (action === 'reschedule') {
+      return await handleReschedule(req, res, staff, claimId, slotId);
+    }
+
+    return res.status(400).json({
+      error: 'Invalid action',
+      expected: ['whoami', 'list_claims', 'search_claims', 'list_stores', 'get_claim', 'list_events', 'assign', 'update_status', 'record_delivery', 'add_note', 'reschedule']
+    });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    console.error('Staff API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timing: elapsed
+    });
+  }
+}
@@ -0,0 +1,47 @@
+// api/v1/claims.js - POST /api/v1/claims
+// Registers a claim from the tokens the verify routes handed out: 201 when it
+// was saved, 200 when the same account had already registered the order and
+// 202 while it is still being saved. See lib/claim-registration.js and
+// ROUTES in lib/api-v1.js.
+import { createRouteHandler, ROUTES } from '../../lib/api-v1.js';
+import { registerDelivery } from '../../lib/claim-registration.js';
+
+function statusFor(result) {
+  if (result.pending) {
+    return 202;
+  }
+  return result.duplicate ? 200 : 201;
+}
+
+export default createRouteHandler(ROUTES.createClaim, async (req) => {
+  const result = await registerDelivery({
+    ...req.body,
+    idempotencyKey: req.body.idempotencyKey || req.headers['idempotency-key'] || null
+  }, {
+    userAgent: req.headers['user-agent'] || null,
+    ipAddress: req.headers['x-forwarded-for'] || req.connection?.remoteAddress || null
+  });
+  if (!result.ok) {
+    return result;
+  }
+
+  return {
+    ok: true,
+    status: statusFor(result),
+    body: {
+      claim: {
+        registrationId: result.registrationId,
+        saved: result.saved,
+        pending: !!result.pending,
+        duplicate: !!result.duplicate,
+        message: result.message,
+        deliveryServer: result.deliveryServer || null,
+        deliveryContact: result.deliveryContact || null,
+        deliverySlot: result.deliverySlot
+          ? { startsAt: result.deliverySlot.startsAt, endsAt: result.deliverySlot.endsAt }
+          : null,
+        slotError: result.slotError || null
+      }
+    }
+  };
+});
@@ -0,0 +1,8 @@
+// api/v1/openapi.js - GET /api/v1/openapi.json (rewritten here in vercel.json)
+// Built from the route descriptions in lib/api-v1.js, so it always matches
+// what the routes validate.
+import { createRouteHandler, ROUTES, buildOpenApiDocument } from '../../lib/api-v1.js';
+
+export default createRouteHandler(ROUTES.openapi, async () => (
+  { ok: true, status: 200, body: buildOpenApiDocument() }
+));
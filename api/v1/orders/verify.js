@@ -0,0 +1,24 @@
+// api/v1/orders/verify.js - POST /api/v1/orders/verify
+// Order number + email, or a signed order link, in; the order and its signed
+// order token out. See lib/order-verification.js and ROUTES in lib/api-v1.js.
+import { createRouteHandler, ROUTES } from '../../../lib/api-v1.js';
+import { verifyOrder, verifyOrderFromLink } from '../../../lib/order-verification.js';
+import { resolveStore } from '../../../lib/stores.js';
+import { getClientIp } from '../../../lib/rate-limit.js';
+
+export default createRouteHandler(ROUTES.verifyOrder, async (req) => {
+  const { store, error } = resolveStore(req);
+  if (error) {
+    return { ok: false, code: 'unknown_store', message: 'Unknown store', details: error };
+  }
+
+  const context = { store, clientIp: getClientIp(req) };
+  const result = req.body.orderId
+    ? await verifyOrderFromLink(req.body, context)
+    : await verifyOrder(req.body, context);
+  if (!result.ok) {
+    return result;
+  }
+
+  return { ok: true, status: 200, body: { order: result.order, orderToken: result.orderToken } };
+});
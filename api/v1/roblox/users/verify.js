@@ -0,0 +1,14 @@
+// api/v1/roblox/users/verify.js - POST /api/v1/roblox/users/verify
+// A Roblox username in; the account and its signed Roblox token out. See
+// lib/roblox-users.js and ROUTES in lib/api-v1.js.
+import { createRouteHandler, ROUTES } from '../../../../lib/api-v1.js';
+import { verifyRobloxUser } from '../../../../lib/roblox-users.js';
+
+export default createRouteHandler(ROUTES.verifyRobloxUser, async (req) => {
+  const result = await verifyRobloxUser(req.body.username);
+  if (!result.ok) {
+    return result;
+  }
+
+  return { ok: true, status: 200, body: { user: result.user, robloxToken: result.robloxToken } };
+});
@@ -1,205 +1,107 @@
-// api/verify.js - Simplified Production API (Review tracking removed)
-import { initializeApp, getApps } from 'firebase/app';
-import { getFirestore, collection, addDoc, serverTimestamp } from 'firebase/firestore';
-import crypto from 'crypto';
-
-// Initialize Firebase (only once per cold start)
-let app;
-let db;
-let isInitialized = false;
-
-function initFirebase() {
-  if (!isInitialized) {
-    const requiredEnvVars = [
-      'FIREBASE_API_KEY',
-      'FIREBASE_AUTH_DOMAIN', 
-      'FIREBASE_PROJECT_ID',
-      'FIREBASE_STORAGE_BUCKET',
-      'FIREBASE_MESSAGING_SENDER_ID',
-      'FIREBASE_APP_ID'
-    ];
-    
-    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-    if (missingVars.length > 0) {
-      throw new Error(`Missing Firebase environment variables: ${missingVars.join(', ')}`);
-    }
-
-    const firebaseConfig = {
-      apiKey: process.env.FIREBASE_API_KEY,
-      authDomain: process.env.FIREBASE_AUTH_DOMAIN,
-      projectId: process.env.FIREBASE_PROJECT_ID,
-      storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
-      messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID,
-      appId: process.env.FIREBASE_APP_ID
-    };
-    
-    if (getApps().length === 0) {
-      app = initializeApp(firebaseConfig);
-    } else {
-      app = getApps()[0];
-    }
-    
-    db = getFirestore(app);
-    isInitialized = true;
+// api/verify.js - Legacy action-based API behind the claim page
+// The original endpoint, kept for the claim page and existing clients. Order
+// and Roblox verification and registration run on the same code as the
+// versioned routes in api/v1 (see lib/api-v1.js) - only the response shapes
+// here are the old ones. New integrations should use api/v1.
+import { getOutboxEntry } from '../lib/outbox.js';
+import { findClaimByRegistrationId, findClaimsByOrderNumber, getQueuePosition } from '../lib/claims.js';
+import { getAllocations, summarizeAllocations } from '../lib/allocations.js';
+import { pickDeliveryTeam } from '../lib/roster.js';
+import { resolveStore, getStore, publicStoreInfo } from '../lib/stores.js';
+import { signToken, verifyToken } from '../lib/tokens.js';
+import { saveClaimSession, loadClaimSession, getSessionLimiter } from '../lib/claim-sessions.js';
+import { recordFunnelEvents, getTrackingLimiter } from '../lib/analytics.js';
+import { listBookableSlots } from '../lib/scheduling.js';
+import { getClientIp } from '../lib/rate-limit.js';
+import { generateOwnershipPhrase, profileContainsPhrase } from '../lib/ownership.js';
+import {
+  verifyOrder,
+  verifyOrderFromLink,
+  getVerificationLimiters,
+  normalizeOrderKey,
+  tooManyAttempts
+} from '../lib/order-verification.js';
+import { verifyRobloxUser } from '../lib/roblox-users.js';
+import { registerDelivery } from '../lib/claim-registration.js';
+import { errorStatus } from '../lib/api-v1.js';
+import { applyCors } from '../lib/cors.js';
+
+// LEGACY RESPONSES
+// The lib answers failures with a code from lib/api-v1.js; this endpoint keeps
+// its original { error, details, ... } shape, with the failed eligibility
+// rule as `code` the way the claim page reads it.
+function sendLegacyError(res, failure) {
+  const { ok, code, message, reason, ...extra } = failure;
+  if (extra.retryAfter) {
+    res.setHeader('Retry-After', String(extra.retryAfter));
   }
-  
-  return db;
-}
-
-// FIRESTORE SAVE FUNCTION FOR DELIVERY REGISTRATION
-async function saveToFirestore(deliveryData) {
-  const startTime = Date.now();
-  
-  try {
-    const db = initFirebase();
-    const registrationId = generateDeliveryId();
-    
-    const docData = {
-      registrationId,
-      timestamp: serverTimestamp(),
-      createdAt: new Date().toISOString(),
-      
-      // Order details
-      orderNumber: deliveryData.order?.orderNumber || 'N/A',
-      email: deliveryData.order?.email || 'N/A',
-      orderItems: deliveryData.order?.items || 'Digital Items',
-      orderTotal: deliveryData.order?.total || 'N/A',
-      orderCurrency: deliveryData.order?.currency || 'USD',
-      orderId: deliveryData.order?.orderId || null,
-      customerName: deliveryData.order?.customerName || null,
-      
-      // Roblox details
-      robloxUsername: deliveryData.roblox?.username || 'N/A',
-      robloxUserId: deliveryData.roblox?.userId?.toString() || 'N/A',
-      robloxAvatarUrl: deliveryData.roblox?.avatar || null,
-      
-      // Delivery tracking
-      status: 'pending_delivery',
-      deliveryStaffAssigned: null,
-      serverJoinTime: deliveryData.serverJoinTime || new Date().toISOString(),
-      completedAt: null,
-      
-      // System metadata
-      processedBy: 'delivery_system_v2.3',
-      source: 'affordable_garden_delivery',
-      apiVersion: '2.3',
-      userAgent: deliveryData.userAgent || null,
-      ipAddress: deliveryData.ipAddress || null,
-      stepCompletionTimes: deliveryData.stepCompletionTimes || null,
-      totalProcessingTime: Date.now() - startTime
-    };
-
-    const docRef = await addDoc(collection(db, 'delivery_requests'), docData);
-    const elapsed = Date.now() - startTime;
-    
-    return {
-      success: true,
-      registrationId,
-      firestoreId: docRef.id,
-      collection: 'delivery_requests',
-      timing: elapsed,
-      docPath: `delivery_requests/${docRef.id}`
-    };
 
-  } catch (error) {
-    const elapsed = Date.now() - startTime;
-    console.error(`Firestore save failed after ${elapsed}ms:`, error);
-    throw error;
+  const body = { error: message, ...extra };
+  if (code === 'order_not_eligible') {
+    body.code = reason;
+  } else if (code === 'no_deliverable_items') {
+    body.code = code;
+  } else if (reason) {
+    body.reason = reason;
   }
+  return res.status(errorStatus(code)).json(body);
 }
 
 // DELIVERY REGISTRATION HANDLER
 async function handleDeliveryRegistration(req, res, deliveryData) {
   const startTime = Date.now();
-  const REQUEST_TIMEOUT = 8000;
-  
-  try {
-    if (!deliveryData.order || !deliveryData.roblox) {
-      return res.status(400).json({ 
-        error: 'Missing required delivery data',
-        required: ['order', 'roblox'],
-        received: {
-          hasOrder: !!deliveryData.order,
-          hasRoblox: !!deliveryData.roblox
-        }
-      });
-    }
 
-    if (!deliveryData.order.orderNumber || !deliveryData.order.email) {
-      return res.status(400).json({
-        error: 'Invalid order data - missing orderNumber or email'
-      });
-    }
+  try {
+    // A single robloxToken means one account receives everything
+    const recipients = Array.isArray(deliveryData.recipients) && deliveryData.recipients.length > 0
+      ? deliveryData.recipients
+      : [{ robloxToken: deliveryData.robloxToken, ownershipToken: deliveryData.ownershipToken, items: null }];
+
+    const result = await registerDelivery({
+      ...deliveryData,
+      recipients,
+      idempotencyKey: deliveryData.idempotencyKey || req.headers['idempotency-key'] || null
+    }, {
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
 
-    if (!deliveryData.roblox.username || !deliveryData.roblox.userId) {
-      return res.status(400).json({
-        error: 'Invalid Roblox data - missing username or userId'
-      });
+    if (!result.ok) {
+      return sendLegacyError(res, result);
     }
 
-    // Add request metadata
-    deliveryData.userAgent = req.headers['user-agent'];
-    deliveryData.ipAddress = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-    
-    const firestorePromise = saveToFirestore(deliveryData);
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
-        reject(new Error('Registration operation timed out'));
-      }, REQUEST_TIMEOUT);
-    });
-    
-    let firestoreResult;
-    try {
-      firestoreResult = await Promise.race([firestorePromise, timeoutPromise]);
-    } catch (timeoutError) {
-      const elapsed = Date.now() - startTime;
-      const fallbackId = generateDeliveryId();
-      
+    if (result.pending) {
       return res.status(202).json({
         success: false,
-        message: 'Delivery request received (saving in background)',
-        registrationId: fallbackId,
-        warning: 'Save operation timed out but request was processed',
+        message: result.message,
+        registrationId: result.registrationId,
+        deliveryServer: result.deliveryServer,
+        deliveryContact: result.deliveryContact,
+        saved: false,
+        pending: true,
         canContinue: true,
-        timing: elapsed,
-        status: 'timeout'
+        timing: result.timing,
+        status: result.status
       });
     }
-    
-    const elapsed = Date.now() - startTime;
-    
-    const registrationRecord = {
-      registrationId: firestoreResult.registrationId,
-      timestamp: new Date().toISOString(),
-      order: {
-        orderNumber: deliveryData.order.orderNumber,
-        email: deliveryData.order.email,
-        items: deliveryData.order.items,
-        total: deliveryData.order.total
-      },
-      roblox: {
-        username: deliveryData.roblox.username,
-        userId: deliveryData.roblox.userId
-      },
-      status: 'pending_delivery',
-      savedToFirestore: true,
-      firestoreId: firestoreResult.firestoreId,
-      docPath: firestoreResult.docPath,
-      timing: elapsed
-    };
-    
+
     return res.status(200).json({
       success: true,
-      message: 'Delivery request registered successfully',
-      registrationId: registrationRecord.registrationId,
-      data: registrationRecord
+      message: result.message,
+      registrationId: result.registrationId,
+      duplicate: result.duplicate,
+      deliveryServer: result.deliveryServer,
+      deliveryContact: result.deliveryContact,
+      deliverySlot: result.deliverySlot,
+      slotError: result.slotError,
+      data: result.record
     });
-    
+
   } catch (error) {
     const elapsed = Date.now() - startTime;
     console.error('Delivery registration failed:', error);
-    
-    return res.status(500).json({ 
+
+    return res.status(500).json({
       error: 'Failed to save delivery request',
       message: error.message,
       timing: elapsed,
@@ -208,371 +110,314 @@ async function handleDeliveryRegistration(req, res, deliveryData) {
   }
 }
 
+// Time allowed to paste the ownership phrase and ask us to check it
+const OWNERSHIP_CHALLENGE_TTL = 15 * 60;
+
 // SHOPIFY ORDER VERIFICATION
+function sendLegacyOrder(res, result) {
+  if (!result.ok) {
+    return sendLegacyError(res, result);
+  }
+  return res.status(200).json({
+    ...result.order,
+    verified: true,
+    source: 'shopify_graphql_api',
+    claimToken: result.orderToken
+  });
+}
+
 async function handleOrderVerification(req, res, orderNumber, email) {
-  // Input validation
-  if (!orderNumber || !email) {
-    return res.status(400).json({ error: 'Order number and email are required' });
+  const { store, error: storeError } = resolveStore(req);
+  if (storeError) {
+    return res.status(400).json({ error: 'Unknown store', details: storeError });
   }
+  return sendLegacyOrder(res, await verifyOrder({ orderNumber, email }, { store, clientIp: getClientIp(req) }));
+}
 
-  const cleanOrderNumber = orderNumber.trim();
-  const cleanEmail = email.toLowerCase().trim();
+// SIGNED ORDER LINKS
+// The link from Shopify's order status page or emails (lib/order-links.js)
+// proves the customer has the order, so it stands in for number + email
+async function handleOrderLinkVerification(req, res, orderId, expiresAt, signature) {
+  const { store, error: storeError } = resolveStore(req);
+  if (storeError) {
+    return res.status(400).json({ error: 'Unknown store', details: storeError });
+  }
+  return sendLegacyOrder(res, await verifyOrderFromLink({ orderId, expiresAt, signature }, { store, clientIp: getClientIp(req) }));
+}
 
-  // Basic email format validation
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(cleanEmail)) {
-    return res.status(400).json({ error: 'Invalid email format' });
+// ROBLOX USERNAME VERIFICATION
+async function handleUsernameVerification(req, res, username) {
+  const result = await verifyRobloxUser(username);
+  if (!result.ok) {
+    return sendLegacyError(res, result);
   }
 
-  try {
-    // Check if we have required environment variables
-    if (!process.env.SHOPIFY_SHOP_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
+  return res.status(200).json({
+    success: true,
+    userId: result.user.userId,
+    username: result.user.username,
+    avatarUrl: result.user.avatarUrl,
+    verified: true,
+    source: 'roblox_api',
+    claimToken: result.robloxToken
+  });
+}
 
-    // Search for the order in Shopify
-    const searchResult = await findShopifyOrder(cleanOrderNumber, cleanEmail);
-    
-    if (!searchResult) {
-      return res.status(404).json({ 
-        error: 'Order not found',
-        details: 'Please check your order number and try again'
-      });
-    }
+// ROBLOX OWNERSHIP VERIFICATION
+async function handleOwnershipChallenge(req, res, robloxTokenValue) {
+  if (!process.env.CLAIM_TOKEN_SECRET) {
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
 
-    // Check if order was found but email doesn't match
-    if (!searchResult.emailMatch) {
-      return res.status(400).json({ 
-        error: 'Email does not match the order number',
-        details: 'The order number exists but is associated with a different email address. Please check your email and try again.'
-      });
-    }
+  const robloxToken = verifyToken(robloxTokenValue, 'roblox');
+  if (!robloxToken.valid) {
+    return res.status(401).json({
+      error: 'Roblox verification expired or invalid',
+      details: 'Please verify your Roblox username again'
+    });
+  }
 
-    const order = searchResult.order;
+  const phrase = generateOwnershipPhrase();
 
-    // Verify order is valid for delivery
-    const validationResult = validateOrderForDelivery(order);
-    if (!validationResult.valid) {
-      return res.status(400).json({ 
-        error: validationResult.reason,
-        details: validationResult.details 
-      });
-    }
+  return res.status(200).json({
+    success: true,
+    phrase,
+    userId: robloxToken.data.userId,
+    profileUrl: `https://www.roblox.com/users/${robloxToken.data.userId}/profile`,
+    challengeToken: signToken('ownership_challenge', { userId: robloxToken.data.userId, phrase }, OWNERSHIP_CHALLENGE_TTL)
+  });
+}
 
-    // Return successful verification
-    return res.status(200).json({
-      orderNumber: order.name,
-      email: cleanEmail,
-      orderId: order.id.toString(),
-      customerName: `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim(),
-      items: formatOrderItems(order.line_items),
-      total: order.total_price,
-      currency: order.currency,
-      orderDate: order.created_at,
-      fulfilled: order.fulfillment_status === 'fulfilled',
-      verified: true,
-      source: 'shopify_rest_api'
+async function handleOwnershipVerification(req, res, challengeTokenValue) {
+  if (!process.env.CLAIM_TOKEN_SECRET) {
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const challenge = verifyToken(challengeTokenValue, 'ownership_challenge');
+  if (!challenge.valid) {
+    return res.status(401).json({
+      error: 'Verification phrase expired',
+      details: 'Please request a new phrase and try again'
     });
+  }
 
+  let found;
+  try {
+    found = await profileContainsPhrase(challenge.data.userId, challenge.data.phrase);
   } catch (error) {
-    console.error('Shopify API error:', error);
-    return res.status(500).json({ 
-      error: 'Failed to verify order',
-      message: 'Please try again in a moment'
+    console.error('Roblox profile lookup failed:', error.message);
+    return res.status(502).json({
+      error: 'Could not read your Roblox profile',
+      details: 'Please try again in a moment'
     });
   }
-}
 
-// SHOPIFY SEARCH FUNCTION
-async function findShopifyOrder(orderNumber, email) {
-  const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN;
-  const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
-  const apiVersion = process.env.SHOPIFY_API_VERSION || '2024-01';
-  
-  // Smart domain handling - check if .myshopify.com is already included
-  const baseUrl = shopDomain.includes('.myshopify.com') 
-    ? `https://${shopDomain}` 
-    : `https://${shopDomain}.myshopify.com`;
-  
-  // Shopify order numbers can have different formats
-  const searchQueries = [
-    orderNumber,
-    orderNumber.replace(/^#/, ''),
-    `#${orderNumber.replace(/^#/, '')}`,
-    orderNumber.replace(/^AG-/, ''),
-    `AG-${orderNumber.replace(/^(AG-|#)/, '')}`,
-    orderNumber.replace(/^AF/, ''),
-    `AF${orderNumber.replace(/^(AF|AG-|#)/, '')}`
-  ];
-
-  const uniqueSearchQueries = [...new Set(searchQueries)];
-  let foundOrderWithWrongEmail = null;
-
-  for (const query of uniqueSearchQueries) {
-    try {
-      const nameSearchUrl = `${baseUrl}/admin/api/${apiVersion}/orders.json?name=${encodeURIComponent(query)}&limit=1`;
-      
-      const response = await fetch(nameSearchUrl, {
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json'
-        }
-      });
+  if (!found) {
+    return res.status(400).json({
+      error: 'Phrase not found on your profile',
+      details: 'Paste the phrase into your Roblox profile "About" section, save it, then try again. Roblox can take a minute to update.'
+    });
+  }
 
-      if (!response.ok) {
-        continue;
-      }
+  const verifiedAt = new Date().toISOString();
 
-      const data = await response.json();
-      
-      if (data.orders && data.orders.length > 0) {
-        const order = data.orders[0];
-        
-        if (order.email && order.email.toLowerCase() === email) {
-          return { order, emailMatch: true };
-        } else {
-          foundOrderWithWrongEmail = order;
-        }
-      }
-      
-    } catch (error) {
-      continue;
-    }
+  return res.status(200).json({
+    success: true,
+    verified: true,
+    userId: challenge.data.userId,
+    ownershipToken: signToken('ownership', { userId: challenge.data.userId, verifiedAt })
+  });
+}
+
+// DELIVERY TEAM
+// Tells the page which staff member to friend and which server to join
+// before the claim is saved. The signed pick is passed back on registration
+// so the claim keeps it.
+async function handleDeliveryTeam(req, res, orderTokenValue) {
+  if (!process.env.CLAIM_TOKEN_SECRET) {
+    return res.status(500).json({ error: 'Server configuration error' });
   }
 
-  // Method 2: Search by email and filter
-  try {
-    const emailSearchUrl = `${baseUrl}/admin/api/${apiVersion}/orders.json?email=${encodeURIComponent(email)}&limit=50`;
-    
-    const response = await fetch(emailSearchUrl, {
-      headers: {
-        'X-Shopify-Access-Token': accessToken,
-        'Content-Type': 'application/json'
-      }
+  const orderToken = verifyToken(orderTokenValue, 'order');
+  if (!orderToken.valid) {
+    return res.status(401).json({
+      error: 'Order verification expired or invalid',
+      details: 'Please verify your order again',
+      reason: orderToken.reason
     });
-
-    if (response.ok) {
-      const data = await response.json();
-      
-      if (data.orders && data.orders.length > 0) {
-        const matchingOrder = data.orders.find(order => {
-          return uniqueSearchQueries.some(query => {
-            return order.name === query || 
-                   order.order_number?.toString() === query.replace(/^(#|AG-|AF)/, '') ||
-                   (order.name && order.name.includes('AG-') && order.name === `AG-${query.replace(/^(#|AG-|AF)/, '')}`);
-          });
-        });
-        
-        if (matchingOrder) {
-          return { order: matchingOrder, emailMatch: true };
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Error searching by email:', error);
   }
 
-  if (foundOrderWithWrongEmail) {
-    return { order: foundOrderWithWrongEmail, emailMatch: false };
-  }
+  const team = await pickDeliveryTeam({}, getStore(orderToken.data.storeId));
 
-  return null;
+  return res.status(200).json({
+    deliveryContact: team.contact,
+    deliveryServer: team.server,
+    teamToken: signToken('delivery_team', { serverId: team.server.serverId, staffId: team.contact.staffId })
+  });
 }
 
-function validateOrderForDelivery(order) {
-  if (order.financial_status !== 'paid' && order.financial_status !== 'partially_paid') {
-    return {
-      valid: false,
-      reason: 'Order payment not confirmed',
-      details: 'Please ensure your payment has been processed before requesting delivery'
-    };
+// STORE BRANDING
+// Lets the claim page show the right shop's name and logo before anything
+// is verified. The shop comes from the `store` parameter or the hostname.
+async function handleStoreInfo(req, res) {
+  const { store, error } = resolveStore(req);
+  if (error) {
+    return res.status(404).json({ error: 'Unknown store', details: error });
   }
+  return res.status(200).json(publicStoreInfo(store));
+}
 
-  if (order.cancelled_at) {
-    return {
-      valid: false,
-      reason: 'Order has been cancelled',
-      details: 'Cancelled orders are not eligible for delivery'
-    };
+// SAVED PROGRESS
+// Saving needs no verification, so it sits behind the verification IP
+// lockout and its own limit on saves per IP
+async function handleSaveProgress(req, res, resumeToken, progress) {
+  const clientIp = getClientIp(req);
+  const ipCheck = await getVerificationLimiters().ip.check(clientIp);
+  if (!ipCheck.allowed) {
+    return sendLegacyError(res, tooManyAttempts(ipCheck.retryAfterSeconds));
   }
-
-  if (order.fulfillment_status === 'fulfilled') {
-    return {
-      valid: false,
-      reason: 'Order has already been fulfilled',
-      details: 'This order has already been delivered and cannot be claimed again'
-    };
+  const saves = await getSessionLimiter().take(clientIp);
+  if (!saves.allowed) {
+    return sendLegacyError(res, tooManyAttempts(saves.retryAfterSeconds));
   }
 
-  if (order.financial_status === 'refunded' || order.financial_status === 'partially_refunded') {
-    return {
-      valid: false,
-      reason: 'Order has been refunded',
-      details: 'Refunded orders are not eligible for delivery'
-    };
+  const result = await saveClaimSession(resumeToken, progress);
+  if (!result.ok) {
+    return res.status(400).json({ error: result.message, code: result.code });
   }
+  return res.status(200).json({ success: true, resumeToken: result.resumeToken, expiresAt: result.expiresAt });
+}
 
-  if (order.refunds && order.refunds.length > 0) {
-    const totalRefunded = order.refunds.reduce((sum, refund) => {
-      return sum + parseFloat(refund.amount || 0);
-    }, 0);
-    
-    const totalPrice = parseFloat(order.total_price || 0);
-    
-    if (totalRefunded >= totalPrice) {
-      return {
-        valid: false,
-        reason: 'Order has been fully refunded',
-        details: 'Fully refunded orders are not eligible for delivery'
-      };
-    }
+async function handleResumeClaim(req, res, resumeToken, orderToken) {
+  const result = await loadClaimSession(resumeToken, orderToken);
+  if (!result.ok) {
+    return res.status(404).json({ error: result.message, code: result.code });
   }
-
-  return { valid: true };
+  return res.status(200).json({
+    success: true,
+    progress: result.progress,
+    orderTokenValid: result.orderTokenValid,
+    robloxTokenValid: result.robloxTokenValid
+  });
 }
 
-function formatOrderItems(lineItems) {
-  if (!lineItems || lineItems.length === 0) {
-    return 'Digital Items';
+// DELIVERY SLOTS
+// Times the customer can book instead of waiting in the server (see
+// lib/scheduling.js); an empty list means walk-in only
+async function handleListSlots(req, res) {
+  const { store, error } = resolveStore(req);
+  if (error) {
+    return res.status(404).json({ error: 'Unknown store', details: error });
   }
-  
-  return lineItems.map(item => {
-    let itemName = item.title;
-    if (item.variant_title && item.variant_title !== 'Default Title') {
-      itemName += ` (${item.variant_title})`;
-    }
-    if (item.quantity > 1) {
-      itemName += ` x${item.quantity}`;
-    }
-    return itemName;
-  }).join(', ');
+  const slots = await listBookableSlots(store.storeId);
+  return res.status(200).json({ success: true, slots });
 }
 
-// ROBLOX USERNAME VERIFICATION
-async function handleUsernameVerification(req, res, username) {
-  if (!username || typeof username !== 'string' || username.trim() === '') {
-    return res.status(400).json({ error: 'Username is required' });
+// FUNNEL ANALYTICS
+// Step timings, failed verifications and drop-off from the claim page (see
+// lib/analytics.js); staff read the results through api/metrics.js
+async function handleTrackEvents(req, res, sessionId, events) {
+  const { store, error: storeError } = resolveStore(req);
+  if (storeError) {
+    return res.status(400).json({ error: 'Unknown store', details: storeError });
   }
 
-  const cleanUsername = username.trim();
-  
-  if (cleanUsername.length < 3 || cleanUsername.length > 20) {
-    return res.status(400).json({ error: 'Username must be between 3-20 characters' });
+  const batches = await getTrackingLimiter().take(getClientIp(req));
+  if (!batches.allowed) {
+    return sendLegacyError(res, tooManyAttempts(batches.retryAfterSeconds));
   }
 
-  if (!/^[a-zA-Z0-9_]+$/.test(cleanUsername)) {
-    return res.status(400).json({ error: 'Username can only contain letters, numbers, and underscores' });
+  const result = await recordFunnelEvents(sessionId, events, store.storeId);
+  if (!result.ok) {
+    return res.status(400).json({ error: result.message, code: result.code });
   }
+  return res.status(200).json({ success: true, recorded: result.recorded });
+}
 
-  // Method 1: Username-to-ID conversion
-  try {
-    const usernameToIdResponse = await fetch('https://users.roblox.com/v1/usernames/users', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        usernames: [cleanUsername],
-        excludeBannedUsers: true
-      })
-    });
-    
-    if (usernameToIdResponse.ok) {
-      const usernameData = await usernameToIdResponse.json();
-      
-      if (usernameData.data && usernameData.data.length > 0) {
-        const userData = usernameData.data[0];
-        
-        if (userData.name && userData.name.toLowerCase() === cleanUsername.toLowerCase()) {
-          let avatarUrl = `https://www.roblox.com/headshot-thumbnail/image?userId=${userData.id}&width=150&height=150&format=png&v=${Date.now()}`;
-          
-          try {
-            const avatarResponse = await fetch(`https://thumbnails.roblox.com/v1/users/avatar-headshot?userIds=${userData.id}&size=150x150&format=Png&isCircular=false`);
-            if (avatarResponse.ok) {
-              const avatarData = await avatarResponse.json();
-              if (avatarData.data && avatarData.data[0] && avatarData.data[0].imageUrl) {
-                avatarUrl = avatarData.data[0].imageUrl;
-              }
-            }
-          } catch (avatarError) {
-            // Use fallback URL
-          }
-
-          return res.status(200).json({
-            success: true,
-            userId: userData.id.toString(),
-            username: userData.name,
-            avatarUrl: avatarUrl,
-            verified: true,
-            source: 'roblox_api'
-          });
-        }
-      }
-    }
-  } catch (apiError) {
-    console.error('Username-to-ID API error:', apiError.message);
+// CLAIM STATUS LOOKUP
+async function handleStatusCheck(req, res, { registrationId, orderNumber, email }) {
+  const cleanRegistrationId = typeof registrationId === 'string' ? registrationId.trim() : '';
+  const cleanOrderNumber = typeof orderNumber === 'string' ? orderNumber.trim() : '';
+  const cleanEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+
+  if (!cleanRegistrationId && !(cleanOrderNumber && cleanEmail)) {
+    return res.status(400).json({ error: 'Registration ID, or order number and email, are required' });
   }
 
-  // Method 2: Fallback to search API
-  try {
-    const userSearchResponse = await fetch(`https://users.roblox.com/v1/users/search?keyword=${encodeURIComponent(cleanUsername)}&limit=10`);
-    
-    if (userSearchResponse.ok) {
-      const userSearchData = await userSearchResponse.json();
-      
-      if (userSearchData.data && userSearchData.data.length > 0) {
-        const exactMatch = userSearchData.data.find(user => 
-          user.name && user.name.toLowerCase() === cleanUsername.toLowerCase()
-        );
-        
-        if (exactMatch) {
-          let avatarUrl = `https://www.roblox.com/headshot-thumbnail/image?userId=${exactMatch.id}&width=150&height=150&format=png&v=${Date.now()}`;
-          
-          try {
-            const avatarResponse = await fetch(`https://thumbnails.roblox.com/v1/users/avatar-headshot?userIds=${exactMatch.id}&size=150x150&format=Png&isCircular=false`);
-            if (avatarResponse.ok) {
-              const avatarData = await avatarResponse.json();
-              if (avatarData.data && avatarData.data[0] && avatarData.data[0].imageUrl) {
-                avatarUrl = avatarData.data[0].imageUrl;
-              }
-            }
-          } catch (avatarError) {
-            // Use fallback URL
-          }
-
-          return res.status(200).json({
-            success: true,
-            userId: exactMatch.id.toString(),
-            username: exactMatch.name,
-            avatarUrl: avatarUrl,
-            verified: true,
-            source: 'roblox_api'
-          });
-        }
+  // Same response whether the ID is unknown or the email does not match
+  const notFound = {
+    error: 'Delivery claim not found',
+    details: 'Please check your registration ID, or your order number and email address'
+  };
+
+  const clientIp = getClientIp(req);
+  const ipLimiter = getVerificationLimiters().ip;
+  const ipCheck = await ipLimiter.check(clientIp);
+  if (!ipCheck.allowed) {
+    return sendLegacyError(res, tooManyAttempts(ipCheck.retryAfterSeconds));
+  }
+
+  let claim = null;
+  if (cleanRegistrationId) {
+    claim = await findClaimByRegistrationId(cleanRegistrationId);
+
+    if (!claim) {
+      // A registration that timed out may still be waiting in the outbox
+      const queued = await getOutboxEntry(cleanRegistrationId).catch(() => null);
+      if (queued && ['in_flight', 'pending'].includes(queued.status)) {
+        return res.status(200).json({
+          registrationId: cleanRegistrationId,
+          status: 'saving',
+          details: 'Your registration is still being saved. Please check again in a few minutes.'
+        });
       }
+      await ipLimiter.recordFailure(clientIp, cleanRegistrationId);
+      return res.status(404).json(notFound);
+    }
+  } else {
+    const claims = await findClaimsByOrderNumber(cleanOrderNumber);
+    claim = claims.find(candidate => (candidate.email || '').toLowerCase() === cleanEmail) || null;
+
+    if (!claim) {
+      await ipLimiter.recordFailure(clientIp, normalizeOrderKey(cleanOrderNumber));
+      return res.status(404).json(notFound);
     }
-  } catch (apiError) {
-    console.error('Search API error:', apiError.message);
   }
 
-  return res.status(404).json({ 
-    error: `User "${cleanUsername}" not found`,
-    details: 'Please check the spelling and try again (case-sensitive)'
+  const allocations = getAllocations(claim);
+
+  return res.status(200).json({
+    registrationId: claim.registrationId,
+    orderNumber: claim.orderNumber,
+    robloxUsername: claim.robloxUsername,
+    status: claim.status,
+    assignedStaff: claim.deliveryStaffAssigned || null,
+    queuePosition: await getQueuePosition(claim),
+    deliveryServer: claim.deliveryServer || null,
+    deliveryContact: claim.deliveryContact || null,
+    deliverySlot: claim.deliverySlot
+      ? { startsAt: claim.deliverySlot.startsAt, endsAt: claim.deliverySlot.endsAt }
+      : null,
+    progress: summarizeAllocations(allocations),
+    items: allocations.map(row => ({
+      title: row.title,
+      robloxUsername: row.robloxUsername,
+      quantity: row.quantity,
+      deliveredQuantity: row.deliveredQuantity
+    })),
+    timestamps: {
+      createdAt: claim.createdAt || null,
+      assignedAt: claim.assignedAt || null,
+      statusUpdatedAt: claim.statusUpdatedAt || null,
+      completedAt: claim.completedAt || null,
+      closedAt: claim.closedAt || null
+    }
   });
 }
 
-// UTILITY FUNCTIONS
-function generateDeliveryId() {
-  const timestamp = Date.now();
-  const random = Math.random().toString(36).substr(2, 6).toUpperCase();
-  return `AG_${timestamp}_${random}`;
-}
-
-// MAIN HANDLER - Simplified
+// MAIN HANDLER
 export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  applyCors(req, res, { methods: 'POST, GET, OPTIONS', headers: 'Content-Type, Authorization, Idempotency-Key' });
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -585,13 +430,21 @@ export default async function handler(req, res) {
   const startTime = Date.now();
 
   try {
-    const { orderNumber, email, username, action, deliveryData } = req.body;
+    const {
+      orderNumber, email, username, action, deliveryData, registrationId,
+      robloxToken, challengeToken, orderToken, orderId, expiresAt, signature, resumeToken, progress,
+      sessionId, events
+    } = req.body;
 
     // Route requests based on action type
     if (action === 'verify_order' && orderNumber && email) {
       return await handleOrderVerification(req, res, orderNumber, email);
     }
     
+    if (action === 'verify_order_link' && orderId && signature) {
+      return await handleOrderLinkVerification(req, res, orderId, expiresAt, signature);
+    }
+
     if (action === 'verify_username' && username) {
       return await handleUsernameVerification(req, res, username);
     }
@@ -600,6 +453,42 @@ export default async function handler(req, res) {
       return await handleDeliveryRegistration(req, res, deliveryData);
     }
 
+    if (action === 'start_ownership_check' && robloxToken) {
+      return await handleOwnershipChallenge(req, res, robloxToken);
+    }
+
+    if (action === 'verify_ownership' && challengeToken) {
+      return await handleOwnershipVerification(req, res, challengeToken);
+    }
+
+    if (action === 'get_delivery_team' && orderToken) {
+      return await handleDeliveryTeam(req, res, orderToken);
+    }
+
+    if (action === 'get_store') {
+      return await handleStoreInfo(req, res);
+    }
+
+    if (action === 'save_progress' && progress) {
+      return await handleSaveProgress(req, res, resumeToken, progress);
+    }
+
+    if (action === 'resume_claim' && resumeToken) {
+      return await handleResumeClaim(req, res, resumeToken, orderToken);
+    }
+
+    if (action === 'list_slots') {
+      return await handleListSlots(req, res);
+    }
+
+    if (action === 'track_events' && events) {
+      return await handleTrackEvents(req, res, sessionId, events);
+    }
+
+    if (action === 'check_status') {
+      return await handleStatusCheck(req, res, { registrationId, orderNumber, email });
+    }
+
     // Fallback detection for backward compatibility
     if (orderNumber && email && !username) {
       return await handleOrderVerification(req, res, orderNumber, email);
@@ -618,7 +507,7 @@ export default async function handler(req, res) {
         action, 
         hasDeliveryData: !!deliveryData
       },
-      expected: 'Either (orderNumber + email) for order verification, (username) for Roblox verification, or (deliveryData) for delivery registration'
+      expected: 'Either (orderNumber + email) for order verification, (username) for Roblox verification, (deliveryData) for delivery registration, action verify_order_link with (orderId + expiresAt + signature), action save_progress with (progress), action resume_claim with (resumeToken), action track_events with (sessionId + events), action list_slots, or action check_status with (registrationId) or (orderNumber + email)'
     });
 
   } catch (error) {
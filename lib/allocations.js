@@ -0,0 +1,184 @@
+// lib/allocations.js - Splitting an order's items across Roblox accounts
+// A claim's `allocations` has one row per (line item, account):
+//   { lineItemId, title, robloxUserId, robloxUsername, quantity, deliveredQuantity }
+// `quantity` is what that account should receive and `deliveredQuantity` what
+// it has received so far. The rows for a line item never add up to more than
+// was purchased.
+
+export const MAX_RECIPIENTS = 5;
+
+function orderLines(lineItems) {
+  // Orders verified before line items were recorded deliver as one unit
+  if (!lineItems || lineItems.length === 0) {
+    return [{ lineItemId: 'order', title: 'Digital Items', quantity: 1 }];
+  }
+  return lineItems.map(item => ({
+    lineItemId: item.lineItemId.toString(),
+    title: item.variantTitle ? `${item.title} (${item.variantTitle})` : item.title,
+    quantity: item.quantity || 1
+  }));
+}
+
+// `recipients` are verified accounts, the primary one first:
+//   [{ userId, username, items: [{ lineItemId, quantity }] | null }]
+// A recipient without `items` gets nothing explicitly; whatever no one was
+// given goes to the primary account. Returns { ok, allocations } or
+// { ok: false, message }.
+export function buildAllocations(lineItems, recipients) {
+  const lines = orderLines(lineItems);
+  const allocated = new Map(lines.map(line => [line.lineItemId, 0]));
+  const allocations = [];
+
+  if (new Set(recipients.map(recipient => recipient.userId.toString())).size !== recipients.length) {
+    return { ok: false, message: 'Each Roblox account can only be listed once' };
+  }
+
+  for (const [index, recipient] of recipients.entries()) {
+    const requested = recipient.items || [];
+    if (index > 0 && requested.length === 0) {
+      return { ok: false, message: `Choose which items ${recipient.username} should receive` };
+    }
+
+    for (const request of requested) {
+      const line = lines.find(candidate => candidate.lineItemId === String(request?.lineItemId));
+      if (!line) {
+        return { ok: false, message: 'One of the items is not part of this order' };
+      }
+
+      const quantity = Number(request.quantity);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        return { ok: false, message: 'Quantities must be whole numbers' };
+      }
+      if (quantity === 0) {
+        continue;
+      }
+
+      allocated.set(line.lineItemId, allocated.get(line.lineItemId) + quantity);
+      if (allocated.get(line.lineItemId) > line.quantity) {
+        return { ok: false, message: `Only ${line.quantity} of "${line.title}" were purchased` };
+      }
+
+      const existing = allocations.find(row => row.lineItemId === line.lineItemId && row.robloxUserId === recipient.userId.toString());
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        allocations.push({
+          lineItemId: line.lineItemId,
+          title: line.title,
+          robloxUserId: recipient.userId.toString(),
+          robloxUsername: recipient.username,
+          quantity,
+          deliveredQuantity: 0
+        });
+      }
+    }
+  }
+
+  const primary = recipients[0];
+  for (const line of lines) {
+    const remainder = line.quantity - allocated.get(line.lineItemId);
+    if (remainder <= 0) {
+      continue;
+    }
+
+    const existing = allocations.find(row => row.lineItemId === line.lineItemId && row.robloxUserId === primary.userId.toString());
+    if (existing) {
+      existing.quantity += remainder;
+    } else {
+      allocations.push({
+        lineItemId: line.lineItemId,
+        title: line.title,
+        robloxUserId: primary.userId.toString(),
+        robloxUsername: primary.username,
+        quantity: remainder,
+        deliveredQuantity: 0
+      });
+    }
+  }
+
+  const emptyRecipient = recipients.find(recipient =>
+    !allocations.some(row => row.robloxUserId === recipient.userId.toString())
+  );
+  if (emptyRecipient) {
+    return { ok: false, message: `${emptyRecipient.username} would not receive any items` };
+  }
+
+  return { ok: true, allocations };
+}
+
+// Claims saved before allocations existed get them derived from their line
+// items, all for the claim's single account. In-game confirmations recorded
+// per line item (`itemDeliveries`) count as fully delivered.
+export function getAllocations(claim) {
+  if (Array.isArray(claim.allocations) && claim.allocations.length > 0) {
+    return claim.allocations;
+  }
+
+  const delivered = claim.itemDeliveries || {};
+  return orderLines(claim.lineItems).map(line => ({
+    lineItemId: line.lineItemId,
+    title: line.lineItemId === 'order' ? (claim.orderItems || line.title) : line.title,
+    robloxUserId: claim.robloxUserId,
+    robloxUsername: claim.robloxUsername,
+    quantity: line.quantity,
+    deliveredQuantity: delivered[line.lineItemId] ? line.quantity : 0
+  }));
+}
+
+export function summarizeAllocations(allocations) {
+  const ordered = allocations.reduce((sum, row) => sum + row.quantity, 0);
+  const delivered = allocations.reduce((sum, row) => sum + row.deliveredQuantity, 0);
+  return { ordered, delivered, remaining: ordered - delivered, complete: delivered >= ordered };
+}
+
+export function hasDeliveries(claim) {
+  return getAllocations(claim).some(row => row.deliveredQuantity > 0);
+}
+
+// Applies handed-over quantities: [{ lineItemId, robloxUserId, quantity }].
+// `robloxUserId` may be left out when only one account gets the line item,
+// and `quantity` defaults to everything still owed. Returns
+// { ok, allocations, delivered } or { ok: false, code, message }.
+export function applyDeliveries(allocations, deliveries, recordedBy) {
+  const updated = allocations.map(row => ({ ...row }));
+  const delivered = [];
+  const now = new Date().toISOString();
+
+  for (const delivery of deliveries) {
+    const rows = updated.filter(row =>
+      row.lineItemId === String(delivery?.lineItemId) &&
+      (!delivery.robloxUserId || row.robloxUserId === delivery.robloxUserId.toString())
+    );
+    if (rows.length === 0) {
+      return { ok: false, code: 'unknown_item', message: `No item ${delivery?.lineItemId} for that account on this claim` };
+    }
+    if (rows.length > 1) {
+      return { ok: false, code: 'ambiguous_item', message: `Item ${delivery.lineItemId} is split across accounts - say which robloxUserId received it` };
+    }
+
+    const row = rows[0];
+    const remaining = row.quantity - row.deliveredQuantity;
+    const quantity = delivery.quantity === undefined || delivery.quantity === null ? remaining : Number(delivery.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return { ok: false, code: 'invalid_quantity', message: 'Delivered quantities must be whole numbers' };
+    }
+    if (quantity > remaining) {
+      return {
+        ok: false,
+        code: 'over_delivery',
+        message: `${row.robloxUsername} is only owed ${remaining} more of "${row.title}"`
+      };
+    }
+    if (quantity === 0) {
+      continue;
+    }
+
+    row.deliveredQuantity += quantity;
+    row.lastDeliveredAt = now;
+    row.lastDeliveredBy = recordedBy;
+    delivered.push({ lineItemId: row.lineItemId, title: row.title, robloxUserId: row.robloxUserId, quantity });
+  }
+
+  return { ok: true, allocations: updated, delivered };
+}
@@ -0,0 +1,295 @@
+// lib/analytics.js - Claim funnel events and the operational metrics built on them
+// The claim page reports how customers move through it to
+// `funnel_events/{eventId}`: how long each step took (`step_completed`),
+// verifications that failed and why (`verification_failed`) and the step a
+// customer left on (`abandoned`). lib/order-verification.js adds
+// `order_rejected` for every order lookup the server turned down, with the
+// code from findShopifyOrder / validateOrderForDelivery as the reason.
+//   { sessionId, type, step, durationMs, reason, storeId, source, at }
+// The queue-snapshot cron job writes the open claim counts to
+// `queue_snapshots/{id}` so the backlog can be charted over time.
+import crypto from 'crypto';
+import { getDocumentStore, getClaimRepository } from './storage/index.js';
+import { CLAIM_STATUSES } from './claims.js';
+import { getDefaultStore } from './stores.js';
+import { createRequestLimiter } from './rate-limit.js';
+
+export const FUNNEL_EVENT_TYPES = {
+  STEP_COMPLETED: 'step_completed',
+  VERIFICATION_FAILED: 'verification_failed',
+  ABANDONED: 'abandoned',
+  ORDER_REJECTED: 'order_rejected'
+};
+
+// Events the claim page may send; order_rejected only comes from the server
+const CLIENT_EVENT_TYPES = [
+  FUNNEL_EVENT_TYPES.STEP_COMPLETED,
+  FUNNEL_EVENT_TYPES.VERIFICATION_FAILED,
+  FUNNEL_EVENT_TYPES.ABANDONED
+];
+
+const FUNNEL_STEPS = [1, 2, 3, 4];
+const MAX_EVENTS_PER_REQUEST = 10;
+const MAX_EVENTS_PAYLOAD_BYTES = 4096;
+const MAX_STEP_DURATION_MS = 24 * 60 * 60 * 1000;
+const REASON_PATTERN = /^[a-z0-9_]{1,60}$/;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const MAX_EVENTS_READ = 20000;
+
+const BACKLOG_STATUSES = [CLAIM_STATUSES.PENDING, CLAIM_STATUSES.ASSIGNED, CLAIM_STATUSES.PARTIAL];
+
+function funnelEvents() {
+  return getDocumentStore().collection('funnel_events');
+}
+
+function queueSnapshots() {
+  return getDocumentStore().collection('queue_snapshots');
+}
+
+// Time first so IDs sort in the order things happened
+function timeOrderedId(at) {
+  return `${at.replace(/[^0-9]/g, '')}_${crypto.randomUUID().slice(0, 8)}`;
+}
+
+function cleanStep(value) {
+  const step = Number(value);
+  return FUNNEL_STEPS.includes(step) ? step : null;
+}
+
+function cleanDuration(value) {
+  const duration = Math.round(Number(value));
+  return Number.isFinite(duration) && duration >= 0 && duration <= MAX_STEP_DURATION_MS ? duration : null;
+}
+
+function cleanClientEvent(event) {
+  if (!event || !CLIENT_EVENT_TYPES.includes(event.type)) {
+    return { error: `type must be one of ${CLIENT_EVENT_TYPES.join(', ')}` };
+  }
+
+  const step = cleanStep(event.step);
+  if (!step) {
+    return { error: 'step must be 1 to 4' };
+  }
+
+  const cleaned = { type: event.type, step };
+  if (event.type === FUNNEL_EVENT_TYPES.STEP_COMPLETED) {
+    const durationMs = cleanDuration(event.durationMs);
+    if (durationMs === null) {
+      return { error: 'durationMs must be a number of milliseconds, at most one day' };
+    }
+    cleaned.durationMs = durationMs;
+  }
+  if (event.type === FUNNEL_EVENT_TYPES.VERIFICATION_FAILED) {
+    const reason = String(event.reason || '').toLowerCase();
+    if (!REASON_PATTERN.test(reason)) {
+      return { error: 'reason must be a short code of lowercase letters, digits and _' };
+    }
+    cleaned.reason = reason;
+  }
+  return { event: cleaned };
+}
+
+// Anyone can send funnel events, so every batch - valid or not - counts
+// against the sender's IP. Over the limit batches are refused until the
+// window ends; ordinary visitors send a handful per claim.
+export function getTrackingLimiter() {
+  return createRequestLimiter({
+    name: 'track_events',
+    maxRequests: 60,
+    windowMs: 10 * 60 * 1000
+  });
+}
+
+// Returns { ok, recorded } or { ok: false, code: 'invalid', message }.
+// Nothing is written unless every event is valid.
+export async function recordFunnelEvents(sessionId, events, storeId) {
+  if (!SESSION_ID_PATTERN.test(sessionId || '')) {
+    return { ok: false, code: 'invalid', message: 'sessionId is required' };
+  }
+  if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENTS_PER_REQUEST) {
+    return { ok: false, code: 'invalid', message: `events must list 1 to ${MAX_EVENTS_PER_REQUEST} events` };
+  }
+  if (Buffer.byteLength(JSON.stringify(events)) > MAX_EVENTS_PAYLOAD_BYTES) {
+    return { ok: false, code: 'invalid', message: `events must be at most ${MAX_EVENTS_PAYLOAD_BYTES} bytes` };
+  }
+
+  const cleaned = [];
+  for (const event of events) {
+    const { event: valid, error } = cleanClientEvent(event);
+    if (error) {
+      return { ok: false, code: 'invalid', message: error };
+    }
+    cleaned.push(valid);
+  }
+
+  const at = new Date().toISOString();
+  await Promise.all(cleaned.map(event =>
+    funnelEvents().set(timeOrderedId(at), { ...event, sessionId, storeId, source: 'client', at })
+  ));
+  return { ok: true, recorded: cleaned.length };
+}
+
+// Never throws: a lost metric must not fail the lookup it describes
+export async function recordOrderRejection(reason, storeId) {
+  const at = new Date().toISOString();
+  try {
+    await funnelEvents().set(timeOrderedId(at), {
+      type: FUNNEL_EVENT_TYPES.ORDER_REJECTED,
+      step: 1,
+      reason,
+      storeId,
+      source: 'server',
+      at
+    });
+  } catch (error) {
+    console.error(`Could not record order rejection (${reason}):`, error);
+  }
+}
+
+// The step timings the claim page sends with its registration, kept on the
+// claim as `stepCompletionTimes`: { "1": ms, "2": ms, "3": ms }
+export function cleanStepCompletionTimes(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+
+  const times = {};
+  for (const [step, duration] of Object.entries(value)) {
+    const cleanedStep = cleanStep(step);
+    const cleanedDuration = cleanDuration(duration);
+    if (cleanedStep && cleanedDuration !== null) {
+      times[cleanedStep] = cleanedDuration;
+    }
+  }
+  return Object.keys(times).length > 0 ? times : null;
+}
+
+// QUEUE SNAPSHOTS
+// Cron job (see vercel.json). Counts cover every shop - claims saved before
+// shops were recorded have no storeId to count them by.
+export async function snapshotQueueBacklog() {
+  const repo = getClaimRepository();
+  const at = new Date().toISOString();
+
+  const counts = {};
+  await Promise.all(BACKLOG_STATUSES.map(async (status) => {
+    counts[status] = await repo.countByStatus(status);
+  }));
+  const [oldestPending] = await repo.listByStatus(CLAIM_STATUSES.PENDING, { limit: 1 });
+
+  const snapshot = {
+    counts,
+    open: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    oldestPendingAt: oldestPending?.createdAt || null,
+    at
+  };
+  await queueSnapshots().set(timeOrderedId(at), snapshot);
+  return { snapshot };
+}
+
+// METRICS
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) {
+    counts[key(item)] = (counts[key(item)] || 0) + 1;
+  }
+  return counts;
+}
+
+// A session reached step 1 when it reported anything at all, and step n + 1
+// when it reported finishing step n. Conversion is relative to step 1.
+function buildFunnel(clientEvents) {
+  const reached = Object.fromEntries(FUNNEL_STEPS.map(step => [step, new Set()]));
+  for (const event of clientEvents) {
+    reached[1].add(event.sessionId);
+    if (event.type === FUNNEL_EVENT_TYPES.STEP_COMPLETED && event.step < 4) {
+      reached[event.step + 1].add(event.sessionId);
+    }
+  }
+
+  const started = reached[1].size;
+  return FUNNEL_STEPS.map((step, index) => {
+    const sessions = reached[step].size;
+    const previous = index === 0 ? sessions : reached[step - 1].size;
+    return {
+      step,
+      sessions,
+      conversionFromStart: started ? sessions / started : null,
+      conversionFromPrevious: previous ? sessions / previous : null
+    };
+  });
+}
+
+function buildStepTimes(clientEvents) {
+  return FUNNEL_STEPS.slice(0, 3).map(step => {
+    const durations = clientEvents
+      .filter(event => event.type === FUNNEL_EVENT_TYPES.STEP_COMPLETED && event.step === step)
+      .map(event => event.durationMs);
+    return { step, completions: durations.length, medianMs: median(durations) };
+  });
+}
+
+async function buildCompletionTimes(since, storeId) {
+  const completed = await getClaimRepository().query({
+    where: [['status', '==', CLAIM_STATUSES.COMPLETED], ['completedAt', '>=', since]],
+    limit: MAX_EVENTS_READ
+  });
+
+  const defaultStoreId = getDefaultStore().storeId;
+  const minutes = completed
+    .filter(claim => !storeId || (claim.storeId || defaultStoreId) === storeId)
+    .map(claim => (Date.parse(claim.completedAt) - Date.parse(claim.createdAt)) / 60000)
+    .filter(value => Number.isFinite(value) && value >= 0);
+
+  return {
+    completedClaims: minutes.length,
+    medianMinutesToComplete: minutes.length ? Math.round(median(minutes) * 10) / 10 : null
+  };
+}
+
+// Everything since `days` ago, optionally for one shop (queue backlog is
+// always for all shops).
+export async function getClaimMetrics({ days = 7, storeId = null } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const where = [['at', '>=', since]];
+  if (storeId) {
+    where.push(['storeId', '==', storeId]);
+  }
+
+  const [events, completion, snapshots] = await Promise.all([
+    funnelEvents().find({ where, orderBy: ['at', 'asc'], limit: MAX_EVENTS_READ }),
+    buildCompletionTimes(since, storeId),
+    queueSnapshots().find({ where: [['at', '>=', since]], orderBy: ['at', 'asc'], limit: MAX_EVENTS_READ })
+  ]);
+
+  const clientEvents = events.filter(event => event.source === 'client');
+  const failures = clientEvents.filter(event => event.type === FUNNEL_EVENT_TYPES.VERIFICATION_FAILED);
+  const abandoned = clientEvents.filter(event => event.type === FUNNEL_EVENT_TYPES.ABANDONED);
+  const rejections = events.filter(event => event.type === FUNNEL_EVENT_TYPES.ORDER_REJECTED);
+
+  return {
+    since,
+    storeId,
+    truncated: events.length >= MAX_EVENTS_READ,
+    funnel: buildFunnel(clientEvents),
+    stepTimes: buildStepTimes(clientEvents),
+    dropOff: countBy(abandoned, event => event.step),
+    verificationFailures: Object.fromEntries(FUNNEL_STEPS.slice(0, 3).map(step => [
+      step,
+      countBy(failures.filter(event => event.step === step), event => event.reason)
+    ])),
+    orderRejections: countBy(rejections, event => event.reason),
+    ...completion,
+    queueBacklog: snapshots.map(({ id, ...snapshot }) => snapshot)
+  };
+}
@@ -0,0 +1,431 @@
+// lib/api-v1.js - Routes, schemas and error envelope of the versioned API
+// Each route under api/v1 is described here once: its method and path, the
+// JSON Schema its request body must match and the schemas of its answers.
+// createRouteHandler() turns a description into a Vercel function that
+// checks CORS (lib/cors.js), validates the body before running anything and
+// answers every failure with the same envelope:
+//   { error: { code, message, details, ...extra } }
+// `code` is one of API_ERRORS, which also fixes the HTTP status. The lib
+// functions behind the routes return { ok: false, code, message, ... }
+// failures that are sent as they are. buildOpenApiDocument() publishes the
+// same descriptions at /api/v1/openapi.json.
+import { validateSchema } from './schema.js';
+import { applyCors } from './cors.js';
+import { MAX_RECIPIENTS } from './allocations.js';
+import { USERNAME_PATTERN } from './roblox-users.js';
+import { IDEMPOTENCY_KEY_PATTERN } from './claim-registration.js';
+
+export const API_VERSION = '1.0.0';
+
+export const API_ERRORS = {
+  invalid_request: { status: 400, description: 'The body does not match the schema, or a field is invalid - see `fields`' },
+  unknown_store: { status: 400, description: 'The `store` parameter names no shop served here' },
+  order_not_eligible: { status: 400, description: 'The order cannot be claimed under the shop\'s rules - `reason` says which' },
+  no_deliverable_items: { status: 400, description: 'Nothing in the order is delivered in-game' },
+  invalid_split: { status: 400, description: 'The items cannot be split across the accounts as requested' },
+  store_unavailable: { status: 400, description: 'The shop the order was verified for is no longer served' },
+  order_token_invalid: { status: 401, description: 'The order token expired or was tampered with - verify the order again' },
+  roblox_token_invalid: { status: 401, description: 'A Roblox token expired or was tampered with - verify the account again' },
+  invalid_order_link: { status: 403, description: 'The signed order link does not match the order' },
+  ownership_not_verified: { status: 403, description: 'The order needs proof the customer owns the Roblox account' },
+  order_not_found: { status: 404, description: 'No order matches the number and email' },
+  roblox_user_not_found: { status: 404, description: 'No Roblox account has that username' },
+  method_not_allowed: { status: 405, description: 'The route does not answer this HTTP method' },
+  order_already_claimed: { status: 409, description: 'A different Roblox account already claimed the order' },
+  rate_limited: { status: 429, description: 'Too many failed attempts - wait `retryAfter` seconds' },
+  internal_error: { status: 500, description: 'Something went wrong on our side' },
+  server_misconfigured: { status: 500, description: 'The deployment is missing configuration' },
+  order_lookup_failed: { status: 500, description: 'Shopify could not be asked about the order' },
+  order_lookup_busy: { status: 503, description: 'Shopify is throttling lookups - wait `retryAfter` seconds' }
+};
+
+export function errorStatus(code) {
+  return API_ERRORS[code]?.status || 500;
+}
+
+// SCHEMAS
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', enum: Object.keys(API_ERRORS) },
+        message: { type: 'string' },
+        details: { type: 'string' },
+        fields: {
+          type: 'array',
+          description: 'For invalid_request: each field that failed validation',
+          items: {
+            type: 'object',
+            properties: { path: { type: 'string' }, message: { type: 'string' } }
+          }
+        },
+        reason: { type: 'string', description: 'For order_not_eligible: the eligibility rule that failed' },
+        retryAfter: { type: 'integer', description: 'Seconds to wait before trying again' }
+      }
+    }
+  }
+};
+
+const STORE_PARAMETER = {
+  type: 'string',
+  pattern: '^[a-z0-9_-]{1,40}$',
+  description: 'Shop the order belongs to; defaults to the shop of the hostname'
+};
+
+const LINE_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    lineItemId: { type: ['string', 'null'] },
+    productId: { type: ['string', 'null'] },
+    variantId: { type: ['string', 'null'] },
+    sku: { type: ['string', 'null'] },
+    title: { type: 'string' },
+    variantTitle: { type: ['string', 'null'] },
+    quantity: { type: 'integer' }
+  }
+};
+
+const ORDER_SCHEMA = {
+  type: 'object',
+  required: ['storeId', 'orderNumber', 'email', 'orderId', 'items', 'lineItems', 'total', 'requiresOwnershipProof'],
+  properties: {
+    storeId: { type: 'string' },
+    orderNumber: { type: 'string' },
+    email: { type: 'string' },
+    orderId: { type: 'string' },
+    customerName: { type: 'string' },
+    items: { type: 'string', description: 'Claimable items as one line of text' },
+    lineItems: { type: 'array', items: LINE_ITEM_SCHEMA },
+    deliverableItems: { type: 'array', items: { type: 'object' } },
+    unmatchedLineItems: { type: 'array', items: { type: 'object' } },
+    total: { type: 'string' },
+    currency: { type: 'string' },
+    orderDate: { type: 'string' },
+    fulfilled: { type: 'boolean' },
+    requiresOwnershipProof: { type: 'boolean' }
+  }
+};
+
+const DELIVERY_SERVER_SCHEMA = {
+  type: ['object', 'null'],
+  properties: { serverId: { type: 'string' }, name: { type: 'string' }, shareUrl: { type: 'string' } }
+};
+
+const DELIVERY_CONTACT_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    staffId: { type: 'string' },
+    displayName: { type: 'string' },
+    robloxUserId: { type: ['string', 'null'] },
+    profileUrl: { type: ['string', 'null'] }
+  }
+};
+
+const CLAIM_RESULT_SCHEMA = {
+  type: 'object',
+  required: ['claim'],
+  properties: {
+    claim: {
+      type: 'object',
+      required: ['registrationId', 'saved', 'pending'],
+      properties: {
+        registrationId: { type: 'string' },
+        saved: { type: 'boolean' },
+        pending: { type: 'boolean', description: 'Still being saved under registrationId' },
+        duplicate: { type: 'boolean', description: 'The order was already registered by the same account' },
+        message: { type: 'string' },
+        deliveryServer: DELIVERY_SERVER_SCHEMA,
+        deliveryContact: DELIVERY_CONTACT_SCHEMA,
+        deliverySlot: {
+          type: ['object', 'null'],
+          properties: { startsAt: { type: 'string' }, endsAt: { type: 'string' } }
+        },
+        slotError: { type: ['string', 'null'], description: 'Why the requested slot was not booked' }
+      }
+    }
+  }
+};
+
+// ROUTES
+export const ROUTES = {
+  verifyOrder: {
+    method: 'POST',
+    path: '/api/v1/orders/verify',
+    summary: 'Verify a Shopify order',
+    description: 'Finds the order by number and email, or by a signed order link, checks it against the shop\'s rules and returns the order token that registration needs.',
+    requestBody: {
+      oneOf: [
+        {
+          type: 'object',
+          required: ['orderNumber', 'email'],
+          additionalProperties: false,
+          properties: {
+            orderNumber: { type: 'string', minLength: 1, maxLength: 40 },
+            email: { type: 'string', format: 'email', maxLength: 254 },
+            store: STORE_PARAMETER
+          }
+        },
+        {
+          type: 'object',
+          required: ['orderId', 'expiresAt', 'signature'],
+          additionalProperties: false,
+          properties: {
+            orderId: { type: 'string', pattern: '^\\d{1,20}$' },
+            expiresAt: { type: 'string', pattern: '^\\d{1,12}$', description: 'When the order link expires, in unix seconds (`exp`)' },
+            signature: { type: 'string', pattern: '^[0-9a-fA-F]{64}$' },
+            store: STORE_PARAMETER
+          }
+        }
+      ],
+      'x-errorMessage': 'Give orderNumber and email, or orderId, expiresAt and signature from an order link'
+    },
+    responses: {
+      200: {
+        description: 'The order can be claimed',
+        schema: {
+          type: 'object',
+          required: ['order', 'orderToken'],
+          properties: { order: ORDER_SCHEMA, orderToken: { type: 'string' } }
+        }
+      }
+    },
+    errors: [
+      'invalid_request', 'unknown_store', 'order_not_eligible', 'no_deliverable_items', 'invalid_order_link',
+      'order_not_found', 'rate_limited', 'server_misconfigured', 'order_lookup_failed', 'order_lookup_busy'
+    ]
+  },
+
+  verifyRobloxUser: {
+    method: 'POST',
+    path: '/api/v1/roblox/users/verify',
+    summary: 'Verify a Roblox username',
+    description: 'Looks the account up on Roblox and returns the Roblox token that registration needs.',
+    requestBody: {
+      type: 'object',
+      required: ['username'],
+      additionalProperties: false,
+      properties: {
+        username: {
+          type: 'string',
+          pattern: USERNAME_PATTERN,
+          'x-errorMessage': 'must be 3-20 letters, numbers and underscores'
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'The account exists',
+        schema: {
+          type: 'object',
+          required: ['user', 'robloxToken'],
+          properties: {
+            user: {
+              type: 'object',
+              required: ['userId', 'username'],
+              properties: {
+                userId: { type: 'string' },
+                username: { type: 'string' },
+                avatarUrl: { type: 'string' }
+              }
+            },
+            robloxToken: { type: 'string' }
+          }
+        }
+      }
+    },
+    errors: ['invalid_request', 'roblox_user_not_found', 'server_misconfigured']
+  },
+
+  createClaim: {
+    method: 'POST',
+    path: '/api/v1/claims',
+    summary: 'Register a delivery claim',
+    description: 'Saves the claim for a verified order and one or more verified Roblox accounts. Repeating a request with the same Idempotency-Key (header or body) returns the claim saved the first time.',
+    headers: {
+      'Idempotency-Key': { type: 'string', pattern: IDEMPOTENCY_KEY_PATTERN }
+    },
+    requestBody: {
+      type: 'object',
+      required: ['orderToken', 'recipients'],
+      additionalProperties: false,
+      properties: {
+        orderToken: { type: 'string', minLength: 1 },
+        recipients: {
+          type: 'array',
+          minItems: 1,
+          maxItems: MAX_RECIPIENTS,
+          description: 'Accounts receiving the items, the primary one first. Items nobody is given go to the primary account.',
+          items: {
+            type: 'object',
+            required: ['robloxToken'],
+            additionalProperties: false,
+            properties: {
+              robloxToken: { type: 'string', minLength: 1 },
+              ownershipToken: { type: ['string', 'null'] },
+              items: {
+                type: ['array', 'null'],
+                items: {
+                  type: 'object',
+                  required: ['lineItemId', 'quantity'],
+                  additionalProperties: false,
+                  properties: {
+                    lineItemId: { type: ['string', 'integer'] },
+                    quantity: { type: 'integer', minimum: 0 }
+                  }
+                }
+              }
+            }
+          }
+        },
+        teamToken: { type: ['string', 'null'] },
+        slotId: { type: ['string', 'null'], maxLength: 100, description: 'Delivery slot to book (see lib/scheduling.js)' },
+        idempotencyKey: { type: 'string', pattern: IDEMPOTENCY_KEY_PATTERN },
+        serverJoinTime: { type: 'string', format: 'date-time' },
+        stepCompletionTimes: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } }
+      }
+    },
+    responses: {
+      201: { description: 'The claim was saved', schema: CLAIM_RESULT_SCHEMA },
+      200: { description: 'The order was already registered by the same account', schema: CLAIM_RESULT_SCHEMA },
+      202: { description: 'The claim is still being saved - keep the registration ID', schema: CLAIM_RESULT_SCHEMA }
+    },
+    errors: [
+      'invalid_request', 'invalid_split', 'store_unavailable', 'order_token_invalid', 'roblox_token_invalid',
+      'ownership_not_verified', 'order_already_claimed', 'server_misconfigured'
+    ]
+  },
+
+  openapi: {
+    method: 'GET',
+    path: '/api/v1/openapi.json',
+    summary: 'This document',
+    responses: {
+      200: { description: 'OpenAPI 3.1 description of the versioned API', schema: { type: 'object' } }
+    },
+    errors: []
+  }
+};
+
+// RESPONSES
+export function sendApiError(res, failure) {
+  const { ok, code, message, ...extra } = failure;
+  if (extra.retryAfter) {
+    res.setHeader('Retry-After', String(extra.retryAfter));
+  }
+  return res.status(errorStatus(code)).json({ error: { code, message, ...extra } });
+}
+
+// A response that breaks its own schema is a bug on our side - logged, but
+// still sent, so a schema slip does not take the claim page down
+function checkResponse(route, status, body) {
+  const schema = route.responses[status]?.schema;
+  const problems = schema ? validateSchema(schema, body) : [{ path: '', message: `no schema for status ${status}` }];
+  if (problems.length > 0) {
+    console.error(JSON.stringify({ level: 'error', event: 'api_response_invalid', route: route.path, status, problems }));
+  }
+}
+
+// `run(req)` returns { ok, status, body } or a failure from the lib
+export function createRouteHandler(route, run) {
+  return async function handler(req, res) {
+    applyCors(req, res, { methods: `${route.method}, OPTIONS`, headers: 'Content-Type, Idempotency-Key' });
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== route.method) {
+      res.setHeader('Allow', `${route.method}, OPTIONS`);
+      return sendApiError(res, { code: 'method_not_allowed', message: `Use ${route.method} for ${route.path}` });
+    }
+
+    const startTime = Date.now();
+
+    try {
+      if (route.requestBody) {
+        const fields = validateSchema(route.requestBody, req.body ?? null);
+        if (fields.length > 0) {
+          return sendApiError(res, {
+            code: 'invalid_request',
+            message: 'The request body is not valid',
+            details: fields.map(field => `${field.path} ${field.message}`).join('; '),
+            fields
+          });
+        }
+      }
+
+      const result = await run(req);
+      if (!result.ok) {
+        return sendApiError(res, result);
+      }
+
+      checkResponse(route, result.status, result.body);
+      return res.status(result.status).json(result.body);
+
+    } catch (error) {
+      console.error(`API error (${route.path}):`, error);
+      return sendApiError(res, {
+        code: 'internal_error',
+        message: 'Internal server error',
+        details: error.message,
+        timing: Date.now() - startTime
+      });
+    }
+  };
+}
+
+// OPENAPI
+function describeErrors(codes) {
+  const byStatus = {};
+  for (const code of codes.concat('internal_error')) {
+    const status = errorStatus(code);
+    byStatus[status] = byStatus[status] || [];
+    byStatus[status].push(code);
+  }
+
+  return Object.fromEntries(Object.entries(byStatus).map(([status, statusCodes]) => [status, {
+    description: statusCodes.map(code => `\`${code}\`: ${API_ERRORS[code].description}`).join('\n\n'),
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  }]));
+}
+
+export function buildOpenApiDocument() {
+  const paths = {};
+  for (const [operationId, route] of Object.entries(ROUTES)) {
+    const responses = Object.fromEntries(Object.entries(route.responses).map(([status, response]) => [status, {
+      description: response.description,
+      content: { 'application/json': { schema: response.schema } }
+    }]));
+
+    paths[route.path] = {
+      ...paths[route.path],
+      [route.method.toLowerCase()]: {
+        operationId,
+        summary: route.summary,
+        ...(route.description ? { description: route.description } : {}),
+        ...(route.headers ? {
+          parameters: Object.entries(route.headers).map(([name, schema]) => ({ name, in: 'header', required: false, schema }))
+        } : {}),
+        ...(route.requestBody ? {
+          requestBody: { required: true, content: { 'application/json': { schema: route.requestBody } } }
+        } : {}),
+        responses: { ...responses, ...describeErrors(route.errors) }
+      }
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Affordable Garden delivery claims',
+      version: API_VERSION,
+      description: 'Verify an order and the Roblox accounts to deliver to, then register the claim. The unversioned /api/verify endpoint keeps working for existing clients.'
+    },
+    paths,
+    components: { schemas: { Error: ERROR_SCHEMA } }
+  };
+}
@@ -0,0 +1,152 @@
+// lib/catalog.js - Maps Shopify products to the in-game items we hand over
+// Entries live in `item_catalog`, keyed by what they match:
+//   variant_<variantId>, sku_<SKU>, product_<productId>
+// A line item uses its most specific entry - variant, then SKU, then product -
+// and each catalog item quantity is multiplied by the line item quantity.
+import { getDocumentStore } from './storage/index.js';
+
+const CATALOG_COLLECTION = 'item_catalog';
+const MATCH_TYPES = ['variant', 'sku', 'product'];
+const ITEM_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+const MAX_ITEMS_PER_ENTRY = 50;
+const MAX_ITEM_QUANTITY = 10000;
+
+function entries() {
+  return getDocumentStore().collection(CATALOG_COLLECTION);
+}
+
+export function catalogEntryId(matchType, matchValue) {
+  return `${matchType}_${encodeURIComponent(matchValue.toString().trim())}`;
+}
+
+// Returns { entry } ready to store, or { error } describing the first problem.
+function cleanEntry(input) {
+  const matchType = input?.matchType;
+  if (!MATCH_TYPES.includes(matchType)) {
+    return { error: `matchType must be one of ${MATCH_TYPES.join(', ')}` };
+  }
+
+  const matchValue = input.matchValue === undefined || input.matchValue === null ? '' : input.matchValue.toString().trim();
+  if (!matchValue || matchValue.length > 100) {
+    return { error: 'matchValue is required (at most 100 characters)' };
+  }
+
+  if (!Array.isArray(input.items) || input.items.length === 0 || input.items.length > MAX_ITEMS_PER_ENTRY) {
+    return { error: `items must list 1 to ${MAX_ITEMS_PER_ENTRY} in-game items` };
+  }
+
+  const items = [];
+  for (const item of input.items) {
+    if (typeof item?.itemId !== 'string' || !ITEM_ID_PATTERN.test(item.itemId)) {
+      return { error: 'Each item needs an itemId of letters, digits and _.:- (at most 100 characters)' };
+    }
+
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QUANTITY) {
+      return { error: `Item quantities must be whole numbers from 1 to ${MAX_ITEM_QUANTITY}` };
+    }
+
+    items.push({
+      itemId: item.itemId,
+      name: typeof item.name === 'string' && item.name.trim() ? item.name.trim().slice(0, 100) : item.itemId,
+      quantity
+    });
+  }
+
+  return {
+    entry: {
+      matchType,
+      matchValue,
+      label: typeof input.label === 'string' ? input.label.trim().slice(0, 200) : null,
+      items,
+      active: input.active !== false
+    }
+  };
+}
+
+export async function listCatalogEntries() {
+  const docs = await entries().find({ orderBy: ['matchType', 'asc'] });
+  return docs.map(({ id, ...entry }) => ({ entryId: id, ...entry }));
+}
+
+// Creates or replaces the entry for the given match. Returns { ok, entry } or
+// { ok: false, code: 'invalid', message }.
+export async function saveCatalogEntry(input, actor) {
+  const { entry, error } = cleanEntry(input);
+  if (error) {
+    return { ok: false, code: 'invalid', message: error };
+  }
+
+  const entryId = catalogEntryId(entry.matchType, entry.matchValue);
+  const now = new Date().toISOString();
+
+  return entries().update(entryId, (existing) => {
+    const saved = {
+      ...entry,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      updatedBy: actor
+    };
+    return { set: saved, result: { ok: true, created: !existing, entry: { entryId, ...saved } } };
+  });
+}
+
+export async function deleteCatalogEntry(entryId) {
+  return entries().update(entryId, (existing) => (
+    existing
+      ? { delete: true, result: { ok: true } }
+      : { result: { ok: false, code: 'not_found', message: 'Catalog entry not found' } }
+  ));
+}
+
+async function findEntryForLineItem(lineItem) {
+  const candidates = [
+    lineItem.variantId && catalogEntryId('variant', lineItem.variantId),
+    lineItem.sku && catalogEntryId('sku', lineItem.sku),
+    lineItem.productId && catalogEntryId('product', lineItem.productId)
+  ].filter(Boolean);
+
+  for (const entryId of candidates) {
+    const entry = await entries().get(entryId);
+    if (entry && entry.active !== false) {
+      return { entryId, ...entry };
+    }
+  }
+  return null;
+}
+
+// Turns an order's line items (see extractLineItems in
+// lib/order-verification.js) into the in-game items to deliver. Line items
+// without an active catalog entry come back in `unmatchedLineItems` for
+// staff to handle.
+export async function resolveDeliverableItems(lineItems) {
+  const deliverableItems = [];
+  const unmatchedLineItems = [];
+
+  for (const lineItem of lineItems || []) {
+    const entry = await findEntryForLineItem(lineItem);
+    if (!entry) {
+      unmatchedLineItems.push({ lineItemId: lineItem.lineItemId, title: lineItem.title, sku: lineItem.sku });
+      continue;
+    }
+
+    for (const item of entry.items) {
+      deliverableItems.push({
+        lineItemId: lineItem.lineItemId,
+        catalogEntryId: entry.entryId,
+        itemId: item.itemId,
+        name: item.name,
+        unitQuantity: item.quantity,
+        quantity: item.quantity * (lineItem.quantity || 1)
+      });
+    }
+  }
+
+  return { deliverableItems, unmatchedLineItems };
+}
+
+// CATALOG_UNMATCHED_ORDERS=reject turns away orders where nothing maps to an
+// in-game item; the default `flag` accepts them and marks the claim for review.
+export function rejectsUndeliverableOrders() {
+  return process.env.CATALOG_UNMATCHED_ORDERS === 'reject';
+}
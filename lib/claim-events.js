@@ -0,0 +1,48 @@
+// lib/claim-events.js - Append-only history of everything that happens to a claim
+// Events live in `claim_events/{eventId}`, one document each, and are never
+// updated or deleted: the claim document says where a claim is now, the
+// events say how it got there (who assigned it, when it was reopened, what
+// Shopify and the notification channels answered). The one exception is
+// personal data, which lib/privacy.js strips or erases.
+//   { claimId, type, actor, at, ...details }
+import crypto from 'crypto';
+import { getDocumentStore } from './storage/index.js';
+
+export const CLAIM_EVENT_TYPES = {
+  CREATED: 'created',
+  VERIFIED: 'verified',
+  STATUS_CHANGED: 'status_changed',
+  ITEMS_DELIVERED: 'items_delivered',
+  NOTE_ADDED: 'note_added',
+  SLOT_CHANGED: 'slot_changed',
+  SHOPIFY_SYNC: 'shopify_sync',
+  NOTIFICATION: 'notification'
+};
+
+function events() {
+  return getDocumentStore().collection('claim_events');
+}
+
+// Never throws: losing a history entry must not fail the action it describes
+export async function recordClaimEvent(claimId, type, actor, details = {}) {
+  const at = new Date().toISOString();
+  // Time first so IDs sort in the order events happened
+  const eventId = `${claimId}_${at.replace(/[^0-9]/g, '')}_${crypto.randomUUID().slice(0, 8)}`;
+
+  try {
+    await events().set(eventId, { ...details, claimId, type, actor: actor || 'system', at });
+    return eventId;
+  } catch (error) {
+    console.error(`Could not record ${type} event for ${claimId}:`, error);
+    return null;
+  }
+}
+
+// Oldest first
+export async function listClaimEvents(claimId, { limit = 500 } = {}) {
+  return events().find({
+    where: [['claimId', '==', claimId]],
+    orderBy: ['at', 'asc'],
+    limit
+  });
+}
@@ -0,0 +1,267 @@
+// lib/claim-registration.js - Turning verified tokens into a saved claim
+// Used by api/v1/claims.js and the legacy api/verify.js. Only the signed
+// verification results are trusted - anything else the browser sends about
+// the order or the Roblox accounts is ignored.
+//   input: { orderToken, recipients: [{ robloxToken, ownershipToken, items }],
+//            teamToken, slotId, idempotencyKey, serverJoinTime, stepCompletionTimes }
+// Returns { ok, saved: true, duplicate, ... } once the claim is saved,
+// { ok, saved: false, pending: true, ... } when saving carries on in the
+// background, or { ok: false, code, message, details } with a code from
+// lib/api-v1.js. Throws when the registration could not even be queued.
+import { waitUntil } from '@vercel/functions';
+import { saveRegistration, generateDeliveryId } from './registrations.js';
+import { queueRegistration, settleInBackground } from './outbox.js';
+import { MAX_RECIPIENTS, buildAllocations } from './allocations.js';
+import { pickDeliveryTeam } from './roster.js';
+import { getStore } from './stores.js';
+import { verifyToken } from './tokens.js';
+import { cleanStepCompletionTimes } from './analytics.js';
+import { bookDeliverySlot } from './scheduling.js';
+import { ownershipRequired } from './ownership.js';
+
+const REQUEST_TIMEOUT = 8000;
+
+export const IDEMPOTENCY_KEY_PATTERN = '^[A-Za-z0-9_-]{8,128}$';
+
+// Checks every recipient's tokens; returns { recipients } or { failure }
+function verifyRecipients(requestedRecipients, orderToken) {
+  const recipients = [];
+  for (const requested of requestedRecipients) {
+    const robloxToken = verifyToken(requested?.robloxToken, 'roblox');
+    if (!robloxToken.valid) {
+      return {
+        failure: {
+          ok: false,
+          code: 'roblox_token_invalid',
+          message: 'Roblox verification expired or invalid',
+          details: 'Please verify your Roblox username again before completing the claim',
+          reason: robloxToken.reason
+        }
+      };
+    }
+
+    // Above the configured order total items may only go to accounts the
+    // customer has proven they control
+    let ownershipVerifiedAt = null;
+    if (requested.ownershipToken) {
+      const ownershipToken = verifyToken(requested.ownershipToken, 'ownership');
+      if (ownershipToken.valid && ownershipToken.data.userId === robloxToken.data.userId) {
+        ownershipVerifiedAt = ownershipToken.data.verifiedAt;
+      }
+    }
+
+    if (!ownershipVerifiedAt && ownershipRequired(orderToken.data.total)) {
+      return {
+        failure: {
+          ok: false,
+          code: 'ownership_not_verified',
+          message: 'Roblox account ownership not verified',
+          details: `Please confirm you own ${robloxToken.data.username} before completing the claim`,
+          requiresOwnershipProof: true,
+          userId: robloxToken.data.userId
+        }
+      };
+    }
+
+    recipients.push({ ...robloxToken.data, ownershipVerifiedAt, items: requested.items || null });
+  }
+  return { recipients };
+}
+
+export async function registerDelivery(input, { userAgent = null, ipAddress = null } = {}) {
+  const startTime = Date.now();
+
+  if (!process.env.CLAIM_TOKEN_SECRET) {
+    return { ok: false, code: 'server_misconfigured', message: 'Server configuration error' };
+  }
+
+  // Items can be split across several verified accounts; the first one is
+  // the claim's primary account
+  const requestedRecipients = Array.isArray(input.recipients) ? input.recipients : [];
+
+  if (!input.orderToken || !requestedRecipients[0]?.robloxToken) {
+    return {
+      ok: false,
+      code: 'invalid_request',
+      message: 'Missing required delivery data',
+      required: ['orderToken', 'robloxToken'],
+      received: {
+        hasOrderToken: !!input.orderToken,
+        hasRobloxToken: !!requestedRecipients[0]?.robloxToken
+      }
+    };
+  }
+
+  if (requestedRecipients.length > MAX_RECIPIENTS) {
+    return {
+      ok: false,
+      code: 'invalid_request',
+      message: 'Too many Roblox accounts',
+      details: `Items can be split across at most ${MAX_RECIPIENTS} accounts`
+    };
+  }
+
+  const orderToken = verifyToken(input.orderToken, 'order');
+  if (!orderToken.valid) {
+    return {
+      ok: false,
+      code: 'order_token_invalid',
+      message: 'Order verification expired or invalid',
+      details: 'Please verify your order again before completing the claim',
+      reason: orderToken.reason
+    };
+  }
+
+  const { recipients, failure } = verifyRecipients(requestedRecipients, orderToken);
+  if (failure) {
+    return failure;
+  }
+
+  const allocation = buildAllocations(orderToken.data.lineItems, recipients);
+  if (!allocation.ok) {
+    return { ok: false, code: 'invalid_split', message: 'Invalid item split', details: allocation.message };
+  }
+
+  const idempotencyKey = input.idempotencyKey || null;
+  if (idempotencyKey && !new RegExp(IDEMPOTENCY_KEY_PATTERN).test(idempotencyKey)) {
+    return {
+      ok: false,
+      code: 'invalid_request',
+      message: 'Invalid idempotency key',
+      details: 'Idempotency keys must be 8-128 letters, numbers, dashes or underscores'
+    };
+  }
+
+  // The shop was fixed when the order was verified
+  const store = getStore(orderToken.data.storeId);
+  if (!store) {
+    return {
+      ok: false,
+      code: 'store_unavailable',
+      message: 'Store no longer available',
+      details: 'Please contact support to claim this order'
+    };
+  }
+
+  // Keep the server and staff member the page already showed, if any
+  const teamToken = verifyToken(input.teamToken, 'delivery_team');
+  const team = await pickDeliveryTeam(teamToken.valid ? teamToken.data : {}, store);
+
+  // The ID is fixed before the write starts, so whatever this returns is the
+  // ID the document is (or will be) saved under
+  const claimData = {
+    registrationId: generateDeliveryId(),
+    storeId: store.storeId,
+    order: orderToken.data,
+    roblox: (({ items, ...primary }) => primary)(recipients[0]),
+    recipients: recipients.map(({ items, ...recipient }) => recipient),
+    allocations: allocation.allocations,
+    deliveryServer: team.server,
+    deliveryContact: team.contact,
+    idempotencyKey,
+    serverJoinTime: input.serverJoinTime,
+    stepCompletionTimes: cleanStepCompletionTimes(input.stepCompletionTimes),
+
+    // Add request metadata
+    userAgent,
+    ipAddress
+  };
+
+  const savePromise = saveRegistration(claimData);
+  const timeoutError = new Error('Registration operation timed out');
+  let timeoutHandle;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutHandle = setTimeout(() => {
+      reject(timeoutError);
+    }, REQUEST_TIMEOUT);
+  });
+
+  const pending = (status, message) => ({
+    ok: true,
+    saved: false,
+    pending: true,
+    status,
+    message,
+    registrationId: claimData.registrationId,
+    deliveryServer: claimData.deliveryServer,
+    deliveryContact: claimData.deliveryContact,
+    timing: Date.now() - startTime
+  });
+
+  let saveResult;
+  try {
+    saveResult = await Promise.race([savePromise, timeoutPromise]);
+  } catch (saveError) {
+    if (saveError === timeoutError) {
+      // The write is still running. Keep the function alive until it
+      // settles; the outbox entry lets the cron job finish it otherwise.
+      waitUntil(settleInBackground(claimData, savePromise));
+      return pending('timeout', 'Your registration is still being saved. Keep your registration ID - it will be valid once saving finishes.');
+    }
+
+    // The write failed outright: queue it for retry under the same ID. If
+    // even that fails, the error goes to the caller.
+    await queueRegistration(claimData, { error: saveError });
+    return pending('queued', 'Your registration could not be saved yet and has been queued for retry. Keep your registration ID.');
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+
+  const elapsed = Date.now() - startTime;
+
+  if (saveResult.outcome === 'conflict') {
+    return {
+      ok: false,
+      code: 'order_already_claimed',
+      message: 'Order already claimed',
+      details: 'This order has already been claimed by a different Roblox account. Please contact support if you believe this is a mistake.',
+      canContinue: false,
+      timing: elapsed
+    };
+  }
+
+  const duplicate = saveResult.outcome === 'existing';
+
+  // A chosen delivery time is booked once the claim exists. Losing the
+  // slot (someone took the last place) leaves the claim a walk-in.
+  let slotBooking = null;
+  if (typeof input.slotId === 'string' && input.slotId) {
+    slotBooking = await bookDeliverySlot(saveResult.claimId, input.slotId, 'customer', { customer: true });
+  }
+  const bookedClaim = slotBooking?.ok ? slotBooking.claim : null;
+
+  return {
+    ok: true,
+    saved: true,
+    duplicate,
+    message: duplicate
+      ? 'Delivery request was already registered for this order'
+      : 'Delivery request registered successfully',
+    registrationId: saveResult.registrationId,
+    deliveryServer: bookedClaim?.deliveryServer || saveResult.deliveryServer,
+    deliveryContact: bookedClaim?.deliveryContact || saveResult.deliveryContact,
+    deliverySlot: bookedClaim?.deliverySlot || null,
+    slotError: slotBooking && !slotBooking.ok ? slotBooking.message : null,
+    record: {
+      registrationId: saveResult.registrationId,
+      timestamp: new Date().toISOString(),
+      order: {
+        orderNumber: claimData.order.orderNumber,
+        email: claimData.order.email,
+        items: claimData.order.items,
+        total: claimData.order.total
+      },
+      roblox: {
+        username: claimData.roblox.username,
+        userId: claimData.roblox.userId
+      },
+      status: saveResult.status,
+      duplicate,
+      saved: true,
+      storage: saveResult.storage,
+      claimId: saveResult.claimId,
+      docPath: saveResult.docPath,
+      timing: elapsed
+    }
+  };
+}
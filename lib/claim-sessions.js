@@ -0,0 +1,134 @@
+// lib/claim-sessions.js - Saved progress through the claim page
+// The claim page saves where the customer is after every step to
+// `claim_sessions/{sessionId}` and keeps a signed resume token for it, so a
+// reload or a closed tab picks up at the same step - with the same
+// idempotency key, so a registration that was already sent is not sent again.
+// Progress only holds what the page already had (its verified order and
+// account, each with their own signed tokens); nothing in it is trusted
+// without those tokens being checked again on registration. The customer's
+// email and the order token (whose payload carries the email) are not
+// saved - the page keeps them in the browser and hands the order token back
+// when resuming.
+import crypto from 'crypto';
+import { getDocumentStore } from './storage/index.js';
+import { createRequestLimiter } from './rate-limit.js';
+import { signToken, verifyToken } from './tokens.js';
+
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MAX_PROGRESS_BYTES = 32 * 1024;
+// `funnelSessionId` ties the progress to the visit's funnel events
+// (lib/analytics.js), so erasing the customer's data can find them
+const PROGRESS_FIELDS = [
+  'step', 'orderData', 'userData', 'splitRecipients', 'slotId', 'deliverySlot', 'idempotencyKey', 'registrationId',
+  'funnelSessionId'
+];
+const FUNNEL_SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+function sessions() {
+  return getDocumentStore().collection('claim_sessions');
+}
+
+// Anyone can save progress, so every save counts against the sender's IP.
+// The page saves once per step; this leaves room for a few claims in a row.
+export function getSessionLimiter() {
+  return createRequestLimiter({
+    name: 'save_progress',
+    maxRequests: 30,
+    windowMs: 10 * 60 * 1000
+  });
+}
+
+function withoutEmail(orderData) {
+  if (!orderData || typeof orderData !== 'object' || Array.isArray(orderData)) {
+    return orderData;
+  }
+  const { email, claimToken, ...kept } = orderData;
+  return kept;
+}
+
+function cleanProgress(progress) {
+  if (!progress || typeof progress !== 'object' || Array.isArray(progress)) {
+    return { error: 'progress must be an object' };
+  }
+
+  const cleaned = {};
+  for (const field of PROGRESS_FIELDS) {
+    if (progress[field] !== undefined && progress[field] !== null) {
+      cleaned[field] = progress[field];
+    }
+  }
+  if (cleaned.orderData) {
+    cleaned.orderData = withoutEmail(cleaned.orderData);
+  }
+  if (cleaned.funnelSessionId !== undefined && !FUNNEL_SESSION_ID_PATTERN.test(String(cleaned.funnelSessionId))) {
+    delete cleaned.funnelSessionId;
+  }
+
+  const step = Number(cleaned.step || 1);
+  if (!Number.isInteger(step) || step < 1 || step > 4) {
+    return { error: 'step must be 1 to 4' };
+  }
+  cleaned.step = step;
+
+  if (Buffer.byteLength(JSON.stringify(cleaned)) > MAX_PROGRESS_BYTES) {
+    return { error: 'progress is too large' };
+  }
+  return { progress: cleaned };
+}
+
+function sessionIdFrom(resumeToken) {
+  const token = verifyToken(resumeToken, 'claim_session');
+  return token.valid ? token.data.sessionId : null;
+}
+
+// Saves over the session `resumeToken` points at, or starts a new one when
+// there is none (or it expired). Every save pushes the expiry back, so the
+// returned token replaces the old one.
+// Returns { ok, resumeToken, expiresAt } or { ok: false, code: 'invalid', message }.
+export async function saveClaimSession(resumeToken, input) {
+  const { progress, error } = cleanProgress(input);
+  if (error) {
+    return { ok: false, code: 'invalid', message: error };
+  }
+
+  const sessionId = sessionIdFrom(resumeToken) || crypto.randomUUID();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_SECONDS * 1000).toISOString();
+
+  await sessions().update(sessionId, (existing) => ({
+    set: {
+      progress,
+      createdAt: existing?.createdAt || now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt
+    }
+  }));
+
+  return {
+    ok: true,
+    resumeToken: signToken('claim_session', { sessionId }, SESSION_TTL_SECONDS),
+    expiresAt
+  };
+}
+
+// Returns { ok, progress, orderTokenValid, robloxTokenValid } or
+// { ok: false, code: 'not_found' }. The token flags tell the page whether it
+// can carry on where it was or has to verify the order or account again -
+// they expire long before the session does. `orderToken` is the one the
+// page kept; it only counts for the order the progress was saved for.
+export async function loadClaimSession(resumeToken, orderToken = null) {
+  const sessionId = sessionIdFrom(resumeToken);
+  const session = sessionId ? await sessions().get(sessionId) : null;
+  if (!session || session.expiresAt < new Date().toISOString()) {
+    return { ok: false, code: 'not_found', message: 'No saved progress for this link' };
+  }
+
+  const { progress } = session;
+  const order = verifyToken(orderToken, 'order');
+  return {
+    ok: true,
+    progress,
+    orderTokenValid: order.valid && !!progress.orderData && order.data.orderId === progress.orderData.orderId,
+    robloxTokenValid: verifyToken(progress.userData?.claimToken, 'roblox').valid
+  };
+}
@@ -0,0 +1,370 @@
+// lib/claims.js - Delivery claim statuses and staff-driven transitions
+import { getClaimRepository } from './storage/index.js';
+import { getAllocations, applyDeliveries, summarizeAllocations, hasDeliveries } from './allocations.js';
+import { notifyStatusChange } from './notifications/index.js';
+import { CLAIM_EVENT_TYPES, recordClaimEvent } from './claim-events.js';
+import { getDefaultStore, listStores } from './stores.js';
+import { releaseSlotPlace } from './slot-ledger.js';
+
+export const CLAIM_STATUSES = {
+  PENDING: 'pending_delivery',
+  ASSIGNED: 'assigned',
+  PARTIAL: 'partially_delivered',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  NO_SHOW: 'no_show',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded'
+};
+
+// Which statuses a claim may move to from its current status. Completed,
+// cancelled and refunded are terminal; failed and no-show claims can only be
+// put back in the queue (or dropped when Shopify cancels/refunds the order).
+// Partially delivered claims wait in the queue until someone picks them up
+// again for the rest.
+const ALLOWED_TRANSITIONS = {
+  pending_delivery: ['assigned', 'cancelled', 'refunded'],
+  assigned: ['pending_delivery', 'partially_delivered', 'completed', 'failed', 'no_show', 'cancelled', 'refunded'],
+  partially_delivered: ['assigned', 'cancelled', 'refunded'],
+  failed: ['pending_delivery', 'cancelled', 'refunded'],
+  no_show: ['pending_delivery', 'cancelled', 'refunded'],
+  completed: [],
+  cancelled: [],
+  refunded: []
+};
+
+// Extra moves only admins may make: reopening a claim that was cancelled by
+// mistake (refunded orders stay closed - the money is gone)
+const ADMIN_TRANSITIONS = {
+  cancelled: ['pending_delivery']
+};
+
+// Statuses in which items can still be handed over
+const DELIVERABLE_STATUSES = [CLAIM_STATUSES.PENDING, CLAIM_STATUSES.ASSIGNED, CLAIM_STATUSES.PARTIAL];
+
+// Statuses that end the claim - a booked delivery time is given up
+const CLOSED_STATUSES = [CLAIM_STATUSES.COMPLETED, CLAIM_STATUSES.CANCELLED, CLAIM_STATUSES.REFUNDED];
+
+export function canTransition(fromStatus, toStatus, { admin = false } = {}) {
+  return (ALLOWED_TRANSITIONS[fromStatus] || []).includes(toStatus) ||
+    (admin && (ADMIN_TRANSITIONS[fromStatus] || []).includes(toStatus));
+}
+
+// Works out the write for moving `claim` to `toStatus`. Returns
+// { changes, result } for the repository's modify(), or just { result }
+// when the move is not allowed.
+function applyTransition(claim, requestedStatus, actor, options = {}) {
+  // Releasing a claim that already had items handed over puts it back in the
+  // queue as partially delivered
+  const toStatus = requestedStatus === CLAIM_STATUSES.PENDING && claim.status === CLAIM_STATUSES.ASSIGNED && hasDeliveries(claim)
+    ? CLAIM_STATUSES.PARTIAL
+    : requestedStatus;
+
+  if (options.check) {
+    const failure = options.check(claim);
+    if (failure) {
+      return { result: { ok: false, ...failure } };
+    }
+  }
+
+  if (!canTransition(claim.status, toStatus, { admin: options.admin })) {
+    return {
+      result: {
+        ok: false,
+        code: 'invalid_transition',
+        message: `Cannot move a claim from ${claim.status} to ${toStatus}`
+      }
+    };
+  }
+
+  const now = new Date().toISOString();
+  const update = {
+    status: toStatus,
+    statusUpdatedAt: now,
+    statusUpdatedBy: actor,
+    ...(options.patch || {})
+  };
+
+  if (toStatus === CLAIM_STATUSES.ASSIGNED) {
+    update.deliveryStaffAssigned = actor;
+    update.assignedAt = now;
+  }
+
+  if (toStatus === CLAIM_STATUSES.PENDING) {
+    update.deliveryStaffAssigned = null;
+    update.assignedAt = null;
+    update.closedAt = null;
+    update.closedReason = null;
+  }
+
+  if (toStatus === CLAIM_STATUSES.COMPLETED) {
+    update.completedAt = now;
+    // Completing by hand means everything still owed was handed over
+    update.allocations = getAllocations(claim).map(row => ({ ...row, deliveredQuantity: row.quantity }));
+  }
+
+  if (toStatus === CLAIM_STATUSES.CANCELLED || toStatus === CLAIM_STATUSES.REFUNDED) {
+    update.closedAt = now;
+  }
+
+  // The slot's place is freed by the caller once this write has gone through
+  const releasedSlot = CLOSED_STATUSES.includes(toStatus) ? claim.deliverySlot || null : null;
+  if (releasedSlot) {
+    update.deliverySlot = null;
+  }
+
+  if (options.note) {
+    update.staffNotes = [
+      ...(claim.staffNotes || []),
+      { author: actor, note: options.note, createdAt: now, status: toStatus }
+    ];
+  }
+
+  return { changes: update, result: { ok: true, claim: { ...claim, ...update }, previousStatus: claim.status, releasedSlot } };
+}
+
+async function releaseClosedSlot(claimId, result) {
+  if (result.releasedSlot) {
+    await releaseSlotPlace(result.releasedSlot.slotId, claimId);
+  }
+}
+
+// Moves a claim to `toStatus` atomically so two staff members acting
+// on the same claim cannot both win. Returns { ok, claim } or
+// { ok: false, code, message } - codes map onto HTTP statuses in the API.
+export async function transitionClaim(claimId, toStatus, actor, options = {}) {
+  const result = await getClaimRepository().modify(claimId, (claim) => applyTransition(claim, toStatus, actor, options));
+  if (result.ok) {
+    await releaseClosedSlot(claimId, result);
+    await recordClaimEvent(claimId, CLAIM_EVENT_TYPES.STATUS_CHANGED, actor, {
+      from: result.previousStatus,
+      to: result.claim.status,
+      reason: options.note || null,
+      ...(options.patch?.closedReason ? { closedReason: options.patch.closedReason } : {})
+    });
+    notifyStatusChange(result.claim, { actor, reason: options.note });
+  }
+  return result;
+}
+
+export async function addClaimNote(claimId, author, note) {
+  const result = await getClaimRepository().modify(claimId, (claim) => {
+    const entry = { author, note, createdAt: new Date().toISOString(), status: claim.status };
+    return {
+      changes: { staffNotes: [...(claim.staffNotes || []), entry] },
+      result: { ok: true, note: entry }
+    };
+  });
+  if (result.ok) {
+    await recordClaimEvent(claimId, CLAIM_EVENT_TYPES.NOTE_ADDED, author, { note });
+  }
+  return result;
+}
+
+// Lists claims in one status, oldest first. The username filter is
+// case-insensitive and applied after the query; `storeId` limits the list to
+// one shop (claims saved before shops were recorded have no storeId).
+export async function listClaims({ status = CLAIM_STATUSES.PENDING, minAgeMinutes, maxAgeMinutes, robloxUsername, storeId, max = 50 } = {}) {
+  let claims = await getClaimRepository().listByStatus(status, {
+    createdBefore: minAgeMinutes ? new Date(Date.now() - minAgeMinutes * 60000).toISOString() : null,
+    createdAfter: maxAgeMinutes ? new Date(Date.now() - maxAgeMinutes * 60000).toISOString() : null,
+    storeId: storeId || null,
+    limit: max
+  });
+
+  if (robloxUsername) {
+    const needle = robloxUsername.toLowerCase();
+    claims = claims.filter(claim => (claim.robloxUsername || '').toLowerCase().includes(needle));
+  }
+
+  return claims;
+}
+
+// Every claim document for a Shopify order. Normally there is exactly one,
+// but documents created before claims were keyed by order can share an ID.
+export async function findClaimsByOrderId(orderId) {
+  return getClaimRepository().findByOrder({ orderId });
+}
+
+export async function findClaimByRegistrationId(registrationId) {
+  return getClaimRepository().findByRegistrationId(registrationId);
+}
+
+// Claims are stored under Shopify's order name ("#1002", "AG-1002"), while
+// customers often type just the number - so look up a few spellings at once.
+export async function findClaimsByOrderNumber(orderNumber) {
+  const bare = orderNumber.trim().replace(/^#/, '');
+  const spellings = [...new Set([orderNumber.trim(), bare, `#${bare}`, bare.toUpperCase()])];
+
+  return getClaimRepository().findByOrder({ orderNumbers: spellings });
+}
+
+export async function findClaimsByRobloxUserId(robloxUserId) {
+  return getClaimRepository().findByRobloxUserId(robloxUserId.toString());
+}
+
+// Staff search: a registration ID, an order number, an email address or a
+// Roblox username, whichever matches - optionally within one shop.
+export async function searchClaims(query, { storeId } = {}) {
+  const term = query.trim();
+  const repo = getClaimRepository();
+
+  const [byRegistration, byOrder, byEmail, byUsername] = await Promise.all([
+    repo.findByRegistrationId(term),
+    findClaimsByOrderNumber(term),
+    term.includes('@') ? repo.query({ where: [['email', '==', term.toLowerCase()]], limit: 50 }) : [],
+    repo.findByRobloxUsername(term)
+  ]);
+
+  const byId = new Map();
+  for (const claim of [byRegistration, ...byOrder, ...byEmail, ...byUsername].filter(Boolean)) {
+    byId.set(claim.claimId, claim);
+  }
+  const defaultStoreId = getDefaultStore().storeId;
+  return [...byId.values()]
+    .filter(claim => !storeId || (claim.storeId || defaultStoreId) === storeId)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+// 1-based position of a pending claim in its shop's delivery queue (oldest
+// first). Claims saved before shops were recorded belong to the default shop
+// and queue with its claims.
+export async function getQueuePosition(claim) {
+  if (claim.status !== CLAIM_STATUSES.PENDING) {
+    return null;
+  }
+
+  const repo = getClaimRepository();
+  const createdBefore = claim.createdAt;
+  const defaultStoreId = getDefaultStore().storeId;
+  const storeId = claim.storeId || defaultStoreId;
+
+  if (storeId !== defaultStoreId) {
+    return await repo.countByStatus(CLAIM_STATUSES.PENDING, { createdBefore, storeId }) + 1;
+  }
+
+  // A missing storeId cannot be queried for, so the default shop's queue is
+  // every pending claim not queued with one of the other shops
+  const otherStoreIds = listStores().map(store => store.storeId).filter(id => id !== defaultStoreId);
+  const [all, ...others] = await Promise.all([
+    repo.countByStatus(CLAIM_STATUSES.PENDING, { createdBefore }),
+    ...otherStoreIds.map(id => repo.countByStatus(CLAIM_STATUSES.PENDING, { createdBefore, storeId: id }))
+  ]);
+  return all - others.reduce((sum, count) => sum + count, 0) + 1;
+}
+
+// DELIVERY PROGRESS
+// What a game server hands over: the claim's allocations (see
+// lib/allocations.js), optionally only those for one account, with the
+// catalog's in-game items for what is still owed under `gameItems`.
+export function getDeliverableItems(claim, robloxUserId = null) {
+  const gameItems = claim.deliverableItems || [];
+
+  return getAllocations(claim)
+    .filter(row => !robloxUserId || row.robloxUserId === robloxUserId.toString())
+    .map(row => {
+      const remaining = row.quantity - row.deliveredQuantity;
+      return {
+        lineItemId: row.lineItemId,
+        title: row.title,
+        robloxUserId: row.robloxUserId,
+        robloxUsername: row.robloxUsername,
+        quantity: row.quantity,
+        deliveredQuantity: row.deliveredQuantity,
+        remaining,
+        delivered: remaining === 0,
+        gameItems: gameItems
+          .filter(gameItem => gameItem.lineItemId === row.lineItemId)
+          .map(({ itemId, name, quantity, unitQuantity }) => ({
+            itemId,
+            name,
+            // Older claims only stored the total for the whole line item
+            quantity: (unitQuantity || quantity) * remaining
+          }))
+      };
+    });
+}
+
+// Records handed-over quantities in one atomic write and rolls the status up:
+// everything delivered completes the claim, anything less leaves it
+// partially delivered. Queued (pending or partially delivered) claims are
+// first assigned to the actor, so game servers can deliver straight from the
+// queue. `options.check` works as in transitionClaim; `options.server` is the
+// game server that delivered.
+export async function recordDeliveries(claimId, deliveries, actor, options = {}) {
+  const result = await getClaimRepository().modify(claimId, (claim) => {
+    if (options.check) {
+      const failure = options.check(claim);
+      if (failure) {
+        return { result: { ok: false, ...failure } };
+      }
+    }
+
+    const applied = applyDeliveries(getAllocations(claim), deliveries, actor);
+    if (!applied.ok) {
+      return { result: applied };
+    }
+
+    // Nothing new - e.g. a retried confirmation for an item already handed over
+    if (applied.delivered.length === 0) {
+      return { result: { ok: true, delivered: [], claim, progress: summarizeAllocations(applied.allocations) } };
+    }
+
+    if (!DELIVERABLE_STATUSES.includes(claim.status)) {
+      return {
+        result: {
+          ok: false,
+          code: 'invalid_transition',
+          message: `Cannot deliver items for a claim that is ${claim.status}`
+        }
+      };
+    }
+
+    let changes = { allocations: applied.allocations };
+    let current = { ...claim, allocations: applied.allocations };
+
+    if (claim.status !== CLAIM_STATUSES.ASSIGNED) {
+      const assigned = applyTransition(current, CLAIM_STATUSES.ASSIGNED, actor);
+      changes = { ...changes, ...assigned.changes };
+      current = assigned.result.claim;
+    }
+
+    const progress = summarizeAllocations(applied.allocations);
+    const now = new Date().toISOString();
+    const rolledUp = progress.complete
+      ? applyTransition(current, CLAIM_STATUSES.COMPLETED, actor, {
+        patch: {
+          ...(options.server ? { deliveredByServer: options.server } : {}),
+          shopifySync: { status: 'retrying', attempts: 0, nextAttemptAt: now }
+        }
+      })
+      : applyTransition(current, CLAIM_STATUSES.PARTIAL, actor);
+
+    changes = { ...changes, ...rolledUp.changes };
+    current = rolledUp.result.claim;
+
+    return {
+      changes,
+      result: {
+        ok: true,
+        delivered: applied.delivered,
+        claim: current,
+        progress,
+        previousStatus: claim.status,
+        releasedSlot: rolledUp.result.releasedSlot
+      }
+    };
+  });
+
+  if (result.ok && result.delivered.length > 0) {
+    await releaseClosedSlot(claimId, result);
+    await recordClaimEvent(claimId, CLAIM_EVENT_TYPES.ITEMS_DELIVERED, actor, {
+      from: result.previousStatus,
+      to: result.claim.status,
+      delivered: result.delivered,
+      ...(options.server ? { server: options.server } : {})
+    });
+    notifyStatusChange(result.claim, { actor });
+  }
+  return result;
+}
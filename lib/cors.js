@@ -0,0 +1,39 @@
+// lib/cors.js - Which browser origins may call the API
+// CORS_ALLOWED_ORIGINS is a comma-separated list of origins, e.g.
+// `https://affordable.garden,https://shop.example.com`, or `*` for any. The
+// hostnames of every shop in lib/stores.js are always allowed over https.
+// The claim page and the staff dashboard are served from the same origin and
+// need no entry.
+import { listStores } from './stores.js';
+
+function allowedOrigins() {
+  const configured = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, '').toLowerCase())
+    .filter(Boolean);
+  const storeOrigins = listStores().flatMap(store => store.hostnames.map(hostname => `https://${hostname}`));
+  return new Set([...configured, ...storeOrigins]);
+}
+
+export function isOriginAllowed(origin) {
+  if (!origin) {
+    return false;
+  }
+  const allowed = allowedOrigins();
+  return allowed.has('*') || allowed.has(origin.toLowerCase());
+}
+
+// Sets the CORS headers for origins on the allowlist; other origins get
+// none, so browsers refuse to hand them the response.
+export function applyCors(req, res, { methods = 'POST, OPTIONS', headers = 'Content-Type' } = {}) {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (!isOriginAllowed(origin)) {
+    return false;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', headers);
+  return true;
+}
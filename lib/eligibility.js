@@ -0,0 +1,253 @@
+// lib/eligibility.js - Whether a Shopify order may be claimed for delivery
+// Results keep the { valid, reason, details } shape the frontend displays;
+// `code` is a stable identifier for code that needs to branch on the reason.
+//
+// The checks every order goes through (cancelled, fulfilled, refunded) are
+// fixed. On top of them each shop's rules - kept in
+// `eligibility_rules/{storeId}` (see lib/stores.js) and edited by admins
+// through api/eligibility.js -
+// decide which payment statuses are accepted, how old an order must be (and
+// may be) to be claimed, which Shopify fraud risk levels are blocked and
+// which product tags are claimable. Without a saved ruleset DEFAULT_RULES
+// applies, which is exactly the old hard-coded behaviour.
+import { getDocumentStore } from './storage/index.js';
+import { DEFAULT_STORE_ID } from './stores.js';
+
+const RULES_COLLECTION = 'eligibility_rules';
+
+const FINANCIAL_STATUSES = ['paid', 'partially_paid', 'authorized', 'pending'];
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const MAX_TAGS = 20;
+
+export const DEFAULT_RULES = {
+  allowedFinancialStatuses: ['paid', 'partially_paid'],
+  minOrderAgeMinutes: 0,
+  claimWindowDays: null,
+  blockedRiskLevels: [],
+  requiredProductTags: []
+};
+
+function rulesDocs() {
+  return getDocumentStore().collection(RULES_COLLECTION);
+}
+
+function cleanList(value, allowed) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const cleaned = [...new Set(value.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+  return allowed && cleaned.some(item => !allowed.includes(item)) ? null : cleaned;
+}
+
+function cleanNumber(value, { min, max, nullable = false }) {
+  if (nullable && (value === null || value === '')) {
+    return { value: null };
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? { value: number } : null;
+}
+
+// Returns { rules } ready to store, or { error } describing the first problem.
+// Fields left out keep their current value.
+function cleanRules(input, current) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'rules must be an object' };
+  }
+
+  const rules = { ...current };
+
+  if (input.allowedFinancialStatuses !== undefined) {
+    const statuses = cleanList(input.allowedFinancialStatuses, FINANCIAL_STATUSES);
+    if (!statuses || statuses.length === 0) {
+      return { error: `allowedFinancialStatuses must list some of ${FINANCIAL_STATUSES.join(', ')}` };
+    }
+    rules.allowedFinancialStatuses = statuses;
+  }
+
+  if (input.minOrderAgeMinutes !== undefined) {
+    const minutes = cleanNumber(input.minOrderAgeMinutes, { min: 0, max: 7 * 24 * 60 });
+    if (!minutes) {
+      return { error: 'minOrderAgeMinutes must be a whole number of minutes, at most one week' };
+    }
+    rules.minOrderAgeMinutes = minutes.value;
+  }
+
+  if (input.claimWindowDays !== undefined) {
+    const days = cleanNumber(input.claimWindowDays, { min: 1, max: 3650, nullable: true });
+    if (!days) {
+      return { error: 'claimWindowDays must be a whole number of days from 1 to 3650, or null for no limit' };
+    }
+    rules.claimWindowDays = days.value;
+  }
+
+  if (input.blockedRiskLevels !== undefined) {
+    const levels = cleanList(input.blockedRiskLevels, RISK_LEVELS);
+    if (!levels) {
+      return { error: `blockedRiskLevels may only contain ${RISK_LEVELS.join(', ')}` };
+    }
+    rules.blockedRiskLevels = levels;
+  }
+
+  if (input.requiredProductTags !== undefined) {
+    const tags = cleanList(input.requiredProductTags);
+    if (!tags || tags.length > MAX_TAGS || tags.some(tag => tag.length > 255)) {
+      return { error: `requiredProductTags must list at most ${MAX_TAGS} tags` };
+    }
+    rules.requiredProductTags = tags;
+  }
+
+  return { rules };
+}
+
+export async function getEligibilityRules(storeId = DEFAULT_STORE_ID) {
+  const saved = await rulesDocs().get(storeId);
+  if (!saved) {
+    return { ...DEFAULT_RULES };
+  }
+  const { updatedAt, updatedBy, ...rules } = saved;
+  return { ...DEFAULT_RULES, ...rules };
+}
+
+// Returns { ok, rules } or { ok: false, code: 'invalid', message }.
+export async function saveEligibilityRules(input, actor, storeId = DEFAULT_STORE_ID) {
+  return rulesDocs().update(storeId, (existing) => {
+    const { rules, error } = cleanRules(input, { ...DEFAULT_RULES, ...(existing || {}) });
+    if (error) {
+      return { result: { ok: false, code: 'invalid', message: error } };
+    }
+
+    const { updatedAt, updatedBy, ...saved } = rules;
+    return {
+      set: { ...saved, updatedAt: new Date().toISOString(), updatedBy: actor },
+      result: { ok: true, rules: saved }
+    };
+  });
+}
+
+// A line item counts when its product carries one of the required tags (or
+// when no tags are required). Line items without tag data - webhook payloads
+// - are never filtered out.
+export function isClaimableLineItem(lineItem, rules = DEFAULT_RULES) {
+  if (rules.requiredProductTags.length === 0 || !Array.isArray(lineItem.product_tags)) {
+    return true;
+  }
+  return lineItem.product_tags.some(tag => rules.requiredProductTags.includes(tag.toLowerCase()));
+}
+
+function paymentRejection(order) {
+  if (order.financial_status === 'partially_paid') {
+    return {
+      valid: false,
+      code: 'partially_paid',
+      reason: 'Order is not fully paid',
+      details: 'Please complete the payment for this order before requesting delivery'
+    };
+  }
+
+  return {
+    valid: false,
+    code: 'payment_not_confirmed',
+    reason: 'Order payment not confirmed',
+    details: 'Please ensure your payment has been processed before requesting delivery'
+  };
+}
+
+function ageInMinutes(order) {
+  const created = Date.parse(order.created_at);
+  return Number.isNaN(created) ? null : (Date.now() - created) / 60000;
+}
+
+// `rules` defaults to DEFAULT_RULES; callers pass the shop's rules from
+// getEligibilityRules().
+export function validateOrderForDelivery(order, rules = DEFAULT_RULES) {
+  if (!rules.allowedFinancialStatuses.includes(order.financial_status)) {
+    return paymentRejection(order);
+  }
+
+  if (order.cancelled_at) {
+    return {
+      valid: false,
+      code: 'cancelled',
+      reason: 'Order has been cancelled',
+      details: 'Cancelled orders are not eligible for delivery'
+    };
+  }
+
+  if (order.fulfillment_status === 'fulfilled') {
+    return {
+      valid: false,
+      code: 'fulfilled',
+      reason: 'Order has already been fulfilled',
+      details: 'This order has already been delivered and cannot be claimed again'
+    };
+  }
+
+  if (order.financial_status === 'refunded' || order.financial_status === 'partially_refunded') {
+    return {
+      valid: false,
+      code: 'refunded',
+      reason: 'Order has been refunded',
+      details: 'Refunded orders are not eligible for delivery'
+    };
+  }
+
+  if (order.refunds && order.refunds.length > 0) {
+    const totalRefunded = order.refunds.reduce((sum, refund) => {
+      return sum + parseFloat(refund.amount || 0);
+    }, 0);
+
+    const totalPrice = parseFloat(order.total_price || 0);
+
+    if (totalRefunded >= totalPrice) {
+      return {
+        valid: false,
+        code: 'fully_refunded',
+        reason: 'Order has been fully refunded',
+        details: 'Fully refunded orders are not eligible for delivery'
+      };
+    }
+  }
+
+  // STORE RULES
+  const age = ageInMinutes(order);
+
+  if (rules.minOrderAgeMinutes > 0 && age !== null && age < rules.minOrderAgeMinutes) {
+    const waitMinutes = Math.ceil(rules.minOrderAgeMinutes - age);
+    return {
+      valid: false,
+      code: 'too_recent',
+      reason: 'Order is still being processed',
+      details: `This order can be claimed in ${waitMinutes} minute${waitMinutes === 1 ? '' : 's'} - please try again then`
+    };
+  }
+
+  if (rules.claimWindowDays && age !== null && age > rules.claimWindowDays * 24 * 60) {
+    return {
+      valid: false,
+      code: 'claim_window_expired',
+      reason: 'Claim period has ended',
+      details: `Orders can only be claimed within ${rules.claimWindowDays} days of purchase - please contact support`
+    };
+  }
+
+  if (order.risk_level && rules.blockedRiskLevels.includes(order.risk_level)) {
+    return {
+      valid: false,
+      code: 'fraud_risk',
+      reason: 'Order is under review',
+      details: 'This order needs a manual check before delivery - please contact support'
+    };
+  }
+
+  if (rules.requiredProductTags.length > 0 &&
+    !(order.line_items || []).some(lineItem => isClaimableLineItem(lineItem, rules))) {
+    return {
+      valid: false,
+      code: 'no_eligible_products',
+      reason: 'Order has no eligible items',
+      details: 'None of the products in this order can be claimed for in-game delivery'
+    };
+  }
+
+  return { valid: true };
+}
@@ -0,0 +1,46 @@
+// lib/firebase.js - Shared Firebase client setup
+import { initializeApp, getApps } from 'firebase/app';
+import { getFirestore } from 'firebase/firestore';
+
+// Initialize Firebase (only once per cold start)
+let app;
+let db;
+let isInitialized = false;
+
+export function initFirebase() {
+  if (!isInitialized) {
+    const requiredEnvVars = [
+      'FIREBASE_API_KEY',
+      'FIREBASE_AUTH_DOMAIN', 
+      'FIREBASE_PROJECT_ID',
+      'FIREBASE_STORAGE_BUCKET',
+      'FIREBASE_MESSAGING_SENDER_ID',
+      'FIREBASE_APP_ID'
+    ];
+    
+    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+    if (missingVars.length > 0) {
+      throw new Error(`Missing Firebase environment variables: ${missingVars.join(', ')}`);
+    }
+
+    const firebaseConfig = {
+      apiKey: process.env.FIREBASE_API_KEY,
+      authDomain: process.env.FIREBASE_AUTH_DOMAIN,
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
+      messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID,
+      appId: process.env.FIREBASE_APP_ID
+    };
+    
+    if (getApps().length === 0) {
+      app = initializeApp(firebaseConfig);
+    } else {
+      app = getApps()[0];
+    }
+    
+    db = getFirestore(app);
+    isInitialized = true;
+  }
+  
+  return db;
+}
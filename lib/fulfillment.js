@@ -0,0 +1,110 @@
+// lib/fulfillment.js - Writes completed deliveries back to Shopify
+// Progress is recorded on the claim under `shopifySync`, step by step, so a
+// retry after a partial failure never creates a second fulfillment.
+import { getClaimRepository } from './storage/index.js';
+import { createOrderFulfillment, appendOrderNote } from './shopify.js';
+import { CLAIM_EVENT_TYPES, recordClaimEvent } from './claim-events.js';
+import { getStore } from './stores.js';
+
+const MAX_SYNC_ATTEMPTS = 8;
+
+function isEnabled(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return value === 'true' || value === '1';
+}
+
+function nextAttemptTime(attempts) {
+  // 2, 4, 8 ... minutes, capped at 4 hours
+  const delayMinutes = Math.min(2 ** attempts, 240);
+  return new Date(Date.now() + delayMinutes * 60000).toISOString();
+}
+
+export async function syncClaimFulfillment(claimId, claim) {
+  const claims = getClaimRepository();
+  const previous = claim.shopifySync || {};
+  const sync = {
+    fulfilled: !!previous.fulfilled,
+    fulfillmentId: previous.fulfillmentId || null,
+    noteAdded: !!previous.noteAdded,
+    attempts: (previous.attempts || 0) + 1,
+    lastAttemptAt: new Date().toISOString(),
+    lastError: null,
+    nextAttemptAt: null
+  };
+
+  const store = getStore(claim.storeId);
+  if (!claim.orderId || !store) {
+    sync.status = 'skipped';
+    sync.lastError = claim.orderId ? `Store ${claim.storeId} is no longer configured` : 'Claim has no Shopify order ID';
+    await claims.update(claimId, { shopifySync: sync });
+    await recordSyncEvent(claimId, sync);
+    return sync;
+  }
+
+  try {
+    if (!sync.fulfilled) {
+      const result = await createOrderFulfillment(claim.orderId, claim.lineItems, {
+        notifyCustomer: isEnabled('SHOPIFY_FULFILLMENT_NOTIFY_CUSTOMER', false),
+        store
+      });
+      sync.fulfilled = true;
+      sync.fulfillmentId = result.fulfillmentId;
+      sync.alreadyFulfilled = result.alreadyFulfilled;
+    }
+
+    if (!sync.noteAdded && isEnabled('SHOPIFY_FULFILLMENT_ORDER_NOTE', true)) {
+      await appendOrderNote(
+        claim.orderId,
+        `Delivered in-game - registration ${claim.registrationId}, Roblox user ${claim.robloxUsername}`,
+        { store }
+      );
+      sync.noteAdded = true;
+    }
+
+    sync.status = 'synced';
+  } catch (error) {
+    console.error(`Shopify fulfillment sync failed for ${claimId} (attempt ${sync.attempts}):`, error.message);
+    sync.lastError = error.message;
+    sync.status = sync.attempts >= MAX_SYNC_ATTEMPTS ? 'failed' : 'retrying';
+    sync.nextAttemptAt = sync.status === 'retrying' ? nextAttemptTime(sync.attempts) : null;
+  }
+
+  await claims.update(claimId, { shopifySync: sync });
+  await recordSyncEvent(claimId, sync);
+  return sync;
+}
+
+function recordSyncEvent(claimId, sync) {
+  return recordClaimEvent(claimId, CLAIM_EVENT_TYPES.SHOPIFY_SYNC, 'shopify_sync', {
+    status: sync.status,
+    attempt: sync.attempts,
+    fulfillmentId: sync.fulfillmentId,
+    noteAdded: sync.noteAdded,
+    error: sync.lastError
+  });
+}
+
+// Cron job: picks up completed claims whose write-back has not succeeded yet.
+// Only claims that are due are queried, longest waiting first, so claims
+// backing off for hours never crowd out the ones ready for another try.
+export async function retryPendingFulfillments({ max = 25 } = {}) {
+  const due = await getClaimRepository().query({
+    where: [
+      ['shopifySync.status', '==', 'retrying'],
+      ['shopifySync.nextAttemptAt', '<=', new Date().toISOString()]
+    ],
+    orderBy: ['shopifySync.nextAttemptAt', 'asc'],
+    limit: max
+  });
+
+  const results = [];
+  for (const claim of due) {
+    const sync = await syncClaimFulfillment(claim.claimId, claim);
+    results.push({ claimId: claim.claimId, status: sync.status });
+  }
+
+  return { checked: due.length, retried: results.length, results };
+}
@@ -0,0 +1,68 @@
+// lib/game-auth.js - Signed requests from our Roblox game servers
+// Game servers sign every call with GAME_SERVER_SECRET:
+//   X-Game-Timestamp: unix seconds
+//   X-Game-Nonce:     random string, unique per request (8-64 chars)
+//   X-Game-Signature: hex HMAC-SHA256 of `${timestamp}.${nonce}.${rawBody}`
+// Requests older than the allowed clock skew are rejected, and each nonce is
+// accepted once, so a captured request cannot be replayed.
+import crypto from 'crypto';
+import { getDocumentStore } from './storage/index.js';
+
+const MAX_CLOCK_SKEW_SECONDS = 300;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const NONCE_COLLECTION = 'game_request_nonces';
+
+function signatureMatches(rawBody, timestamp, nonce, receivedSignature) {
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', process.env.GAME_SERVER_SECRET)
+      .update(`${timestamp}.${nonce}.`)
+      .update(rawBody)
+      .digest('hex')
+  );
+  const received = Buffer.from(receivedSignature.toLowerCase());
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Stores the nonce unless it was seen before. Returns false for replays.
+async function claimNonce(nonce) {
+  // The data-retention job (lib/privacy.js) deletes the nonce once this has
+  // passed - by then the timestamp check already rejects the request
+  const expiresAt = new Date(Date.now() + 2 * MAX_CLOCK_SKEW_SECONDS * 1000).toISOString();
+
+  return getDocumentStore().collection(NONCE_COLLECTION).update(nonce, (existing) => (
+    existing ? { result: false } : { set: { expiresAt }, result: true }
+  ));
+}
+
+// Returns { ok: true } or { ok: false, message } for a request whose raw
+// body has already been read.
+export async function verifyGameRequest(req, rawBody) {
+  const timestamp = req.headers['x-game-timestamp'];
+  const nonce = req.headers['x-game-nonce'];
+  const signature = req.headers['x-game-signature'];
+
+  if (!timestamp || !nonce || !signature) {
+    return { ok: false, message: 'Missing signature headers' };
+  }
+
+  if (!NONCE_PATTERN.test(nonce)) {
+    return { ok: false, message: 'Invalid nonce' };
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > MAX_CLOCK_SKEW_SECONDS) {
+    return { ok: false, message: 'Request timestamp is too old or too far in the future' };
+  }
+
+  if (!signatureMatches(rawBody, timestamp, nonce, signature)) {
+    return { ok: false, message: 'Invalid signature' };
+  }
+
+  // Only consume the nonce once the signature is known to be ours
+  if (!(await claimNonce(nonce))) {
+    return { ok: false, message: 'Request was already used' };
+  }
+
+  return { ok: true };
+}
@@ -0,0 +1,18 @@
+// lib/http.js - Request helpers for routes that need the unparsed body
+// Signature checks (Shopify webhooks, game servers) must hash the exact bytes
+// that were sent. The Vercel Node runtime reads every request with a
+// Content-Type before the handler runs and replays it through req.on('data')
+// and req.on('end') only - iterating the request or touching req.body (which
+// parses JSON) would lose those bytes. Reading through the listeners works
+// both with the replay and with a plain request stream.
+
+export function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
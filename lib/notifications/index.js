@@ -0,0 +1,199 @@
+// lib/notifications/index.js - Claim lifecycle notifications
+// Events: registered, assigned, delivered, cancelled, and for claims with a
+// booked delivery time (lib/scheduling.js) slot_booked and slot_reminder.
+// Each event becomes one message per enabled channel (staff Discord channel,
+// customer email), kept in `notification_outbox` until it is sent. Sending
+// is tried straight away in the background; failures are retried with
+// backoff by the cron job.
+import { waitUntil } from '@vercel/functions';
+import crypto from 'crypto';
+import { getDocumentStore } from '../storage/index.js';
+import { getAllocations } from '../allocations.js';
+import { getStore, getDefaultStore } from '../stores.js';
+import { CLAIM_EVENT_TYPES, recordClaimEvent } from '../claim-events.js';
+import { TEMPLATES, renderTemplate } from './templates.js';
+import { getTransport } from './transports.js';
+
+const MAX_NOTIFICATION_ATTEMPTS = 8;
+
+// Which claim statuses announce which event
+const STATUS_EVENTS = {
+  assigned: 'assigned',
+  completed: 'delivered',
+  cancelled: 'cancelled',
+  refunded: 'cancelled'
+};
+
+function outbox() {
+  return getDocumentStore().collection('notification_outbox');
+}
+
+function nextAttemptTime(attempts) {
+  // 1, 2, 4 ... minutes, capped at 2 hours
+  const delayMinutes = Math.min(2 ** (attempts - 1), 120);
+  return new Date(Date.now() + delayMinutes * 60000).toISOString();
+}
+
+function describeItems(claim) {
+  const allocations = getAllocations(claim);
+  if (allocations.length === 0) {
+    return claim.orderItems || 'Digital Items';
+  }
+  return allocations
+    .map(row => `${row.title} x${row.quantity}${allocations.some(other => other.robloxUserId !== row.robloxUserId) ? ` → ${row.robloxUsername}` : ''}`)
+    .join(', ');
+}
+
+// Slot times go out in UTC - the claim does not know the customer's time zone
+function formatSlotTime(slot) {
+  if (!slot) {
+    return '';
+  }
+  const start = new Date(slot.startsAt).toISOString();
+  return `${start.slice(0, 10)} ${start.slice(11, 16)}-${new Date(slot.endsAt).toISOString().slice(11, 16)} UTC`;
+}
+
+function buildVariables(claim, details) {
+  const usernames = [...new Set(getAllocations(claim).map(row => row.robloxUsername).filter(Boolean))];
+  const store = getStore(claim.storeId) || getDefaultStore();
+
+  return {
+    storeName: store.branding?.displayName || store.name,
+    registrationId: claim.registrationId,
+    orderNumber: claim.orderNumber,
+    customerName: claim.customerName || 'there',
+    robloxUsername: usernames.length > 0 ? usernames.join(', ') : claim.robloxUsername,
+    items: describeItems(claim),
+    status: claim.status,
+    serverName: claim.deliveryServer?.name || 'default',
+    actor: details.actor || claim.statusUpdatedBy || 'staff',
+    slotTime: formatSlotTime(claim.deliverySlot),
+    slotChange: details.rescheduled ? 'moved to' : 'booked for',
+    contactName: claim.deliveryContact?.displayName || 'our delivery staff',
+    serverUrl: claim.deliveryServer?.shareUrl || '',
+    reason: details.reason || claim.closedReason || 'no reason given'
+  };
+}
+
+function buildMessages(event, claim, details, channels) {
+  const template = TEMPLATES[event] || {};
+  const variables = buildVariables(claim, details);
+  const messages = [];
+
+  if (channels.includes('staff') && template.staff) {
+    messages.push({ channel: 'staff', message: { text: renderTemplate(template.staff, variables) } });
+  }
+
+  if (channels.includes('email') && template.emailText && claim.email && claim.email.includes('@')) {
+    messages.push({
+      channel: 'email',
+      message: {
+        to: claim.email,
+        subject: renderTemplate(template.emailSubject, variables),
+        text: renderTemplate(template.emailText, variables)
+      }
+    });
+  }
+
+  return messages;
+}
+
+// Every attempt, successful or not, goes into the claim's history
+function recordOutcome(notificationId, entry, status, attempts, error = null) {
+  if (!entry.claimId) {
+    return null;
+  }
+  return recordClaimEvent(entry.claimId, CLAIM_EVENT_TYPES.NOTIFICATION, 'notifications', {
+    notificationId,
+    event: entry.event,
+    channel: entry.channel,
+    status,
+    attempt: attempts,
+    error: error ? error.message : null
+  });
+}
+
+async function deliver(notificationId, entry) {
+  const attempts = (entry.attempts || 0) + 1;
+  const now = new Date().toISOString();
+
+  try {
+    await getTransport().send(entry.channel, entry.message);
+    await outbox().update(notificationId, () => ({
+      changes: { status: 'sent', attempts, sentAt: now, lastError: null, nextAttemptAt: null }
+    }));
+    await recordOutcome(notificationId, entry, 'sent', attempts);
+    return 'sent';
+  } catch (error) {
+    const failed = attempts >= MAX_NOTIFICATION_ATTEMPTS;
+    console.error(`Notification ${notificationId} failed (attempt ${attempts}):`, error.message);
+    await outbox().update(notificationId, () => ({
+      changes: {
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: failed ? null : nextAttemptTime(attempts)
+      }
+    }));
+    await recordOutcome(notificationId, entry, failed ? 'failed' : 'pending', attempts, error);
+    return failed ? 'failed' : 'pending';
+  }
+}
+
+async function queueAndSend(event, claim, details) {
+  const transport = getTransport();
+  const messages = buildMessages(event, claim, details, transport.channels);
+  const now = new Date().toISOString();
+
+  for (const { channel, message } of messages) {
+    const notificationId = `${event}_${channel}_${crypto.randomUUID()}`;
+    const entry = {
+      event,
+      channel,
+      message,
+      claimId: claim.claimId || null,
+      registrationId: claim.registrationId || null,
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now
+    };
+
+    await outbox().set(notificationId, entry);
+    await deliver(notificationId, entry);
+  }
+}
+
+// Fire-and-forget: never fails or slows down the request that triggered it.
+// `details` may carry the acting staff member (`actor`) and a `reason`.
+export function notifyClaimEvent(event, claim, details = {}) {
+  const work = queueAndSend(event, claim, details).catch((error) => {
+    console.error(`Could not queue ${event} notification for ${claim.registrationId}:`, error);
+  });
+  waitUntil(work);
+  return work;
+}
+
+// Announces a status the claim has just moved to, if that status has an event
+export function notifyStatusChange(claim, details = {}) {
+  const event = STATUS_EVENTS[claim.status];
+  return event ? notifyClaimEvent(event, claim, details) : null;
+}
+
+// Cron job: retries notifications that could not be sent yet. Only due
+// entries are queried, longest waiting first, so a backlog still backing
+// off never holds up the ones that can go out now.
+export async function processNotificationOutbox({ max = 50 } = {}) {
+  const due = await outbox().find({
+    where: [['status', '==', 'pending'], ['nextAttemptAt', '<=', new Date().toISOString()]],
+    orderBy: ['nextAttemptAt', 'asc'],
+    limit: max
+  });
+
+  const results = [];
+  for (const entry of due) {
+    results.push({ notificationId: entry.id, status: await deliver(entry.id, entry) });
+  }
+
+  return { checked: due.length, retried: results.length, results };
+}
@@ -0,0 +1,97 @@
+// lib/notifications/templates.js - Message templates per claim event
+// `{{name}}` placeholders are filled from the variables built in
+// ./index.js; `{{storeName}}` is the claim's shop as customers know it.
+// Staff messages go to the Discord channel, emails to the customer; an
+// event without a template for a channel is not sent there.
+
+export const TEMPLATES = {
+  registered: {
+    staff: '🆕 New claim **{{registrationId}}** - order {{orderNumber}} for **{{robloxUsername}}**\nItems: {{items}}\nServer: {{serverName}}',
+    emailSubject: 'We received your claim for order {{orderNumber}}',
+    emailText: [
+      'Hi {{customerName}},',
+      '',
+      'Thanks for claiming order {{orderNumber}}. Your registration ID is {{registrationId}}.',
+      '',
+      'Items: {{items}}',
+      'Roblox account: {{robloxUsername}}',
+      '',
+      'Join the delivery server and a staff member will hand your items over. You can check your delivery at any time with your registration ID.',
+      '',
+      '{{storeName}}'
+    ].join('\n')
+  },
+
+  assigned: {
+    staff: '🚚 Claim **{{registrationId}}** (order {{orderNumber}}, {{robloxUsername}}) picked up by {{actor}}'
+  },
+
+  delivered: {
+    staff: '✅ Claim **{{registrationId}}** delivered - order {{orderNumber}} to {{robloxUsername}} by {{actor}}',
+    emailSubject: 'Your order {{orderNumber}} has been delivered',
+    emailText: [
+      'Hi {{customerName}},',
+      '',
+      'Your items from order {{orderNumber}} have been delivered to {{robloxUsername}}:',
+      '{{items}}',
+      '',
+      'Registration ID: {{registrationId}}',
+      '',
+      'Enjoy, and thanks for shopping with {{storeName}}!'
+    ].join('\n')
+  },
+
+  slot_booked: {
+    staff: '📅 Claim **{{registrationId}}** (order {{orderNumber}}, {{robloxUsername}}) {{slotChange}} {{slotTime}} with {{contactName}}',
+    emailSubject: 'Your delivery time for order {{orderNumber}}',
+    emailText: [
+      'Hi {{customerName}},',
+      '',
+      'Your delivery for order {{orderNumber}} is {{slotChange}} {{slotTime}}.',
+      '',
+      'At that time, join the delivery server and {{contactName}} will hand your items over to {{robloxUsername}}:',
+      '{{serverUrl}}',
+      '',
+      'We will send you a reminder shortly before. Registration ID: {{registrationId}}',
+      '',
+      '{{storeName}}'
+    ].join('\n')
+  },
+
+  slot_reminder: {
+    staff: '⏰ Booked delivery at {{slotTime}}: claim **{{registrationId}}** (order {{orderNumber}}, {{robloxUsername}}) with {{contactName}}',
+    emailSubject: 'Your delivery for order {{orderNumber}} starts soon',
+    emailText: [
+      'Hi {{customerName}},',
+      '',
+      'Your delivery for order {{orderNumber}} is booked for {{slotTime}}.',
+      '',
+      'Please join the delivery server now and wait for {{contactName}}:',
+      '{{serverUrl}}',
+      '',
+      'Registration ID: {{registrationId}}',
+      '',
+      '{{storeName}}'
+    ].join('\n')
+  },
+
+  cancelled: {
+    staff: '❌ Claim **{{registrationId}}** (order {{orderNumber}}, {{robloxUsername}}) {{status}}: {{reason}}',
+    emailSubject: 'Your claim for order {{orderNumber}} was cancelled',
+    emailText: [
+      'Hi {{customerName}},',
+      '',
+      'Your claim {{registrationId}} for order {{orderNumber}} was closed because the order was {{status}}.',
+      '',
+      'If you think this is a mistake, reply to this email and we will look into it.',
+      '',
+      '{{storeName}}'
+    ].join('\n')
+  }
+};
+
+export function renderTemplate(template, variables) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+    variables[name] === undefined || variables[name] === null ? '' : String(variables[name])
+  ));
+}
@@ -0,0 +1,105 @@
+// lib/notifications/transports.js - How notifications leave the building
+// NOTIFY_TRANSPORT picks the transport:
+//   live (default) - Discord webhook (NOTIFY_DISCORD_WEBHOOK_URL) and SMTP
+//                    email (SMTP_URL, NOTIFY_EMAIL_FROM)
+//   capture        - POSTs every message as JSON to NOTIFY_CAPTURE_URL, e.g. a
+//                    local capture server during development
+//   log            - prints messages instead of sending them
+// A transport is { channels, send(channel, message) }; send throws on failure
+// so the caller can retry.
+import nodemailer from 'nodemailer';
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`POST ${new URL(url).host} failed with ${response.status}: ${text.slice(0, 200)}`);
+  }
+}
+
+let mailer = null;
+
+function getMailer() {
+  if (!mailer) {
+    mailer = nodemailer.createTransport(process.env.SMTP_URL);
+  }
+  return mailer;
+}
+
+function createLiveTransport() {
+  const channels = [];
+  if (process.env.NOTIFY_DISCORD_WEBHOOK_URL) {
+    channels.push('staff');
+  }
+  if (process.env.SMTP_URL && process.env.NOTIFY_EMAIL_FROM) {
+    channels.push('email');
+  }
+
+  return {
+    kind: 'live',
+    channels,
+    async send(channel, message) {
+      if (channel === 'staff') {
+        // Discord-style webhook: { content } is accepted by Discord and Slack-compatible bridges
+        return postJson(process.env.NOTIFY_DISCORD_WEBHOOK_URL, { content: message.text });
+      }
+
+      if (channel === 'email') {
+        return getMailer().sendMail({
+          from: process.env.NOTIFY_EMAIL_FROM,
+          to: message.to,
+          subject: message.subject,
+          text: message.text
+        });
+      }
+
+      throw new Error(`Unknown notification channel: ${channel}`);
+    }
+  };
+}
+
+function createCaptureTransport() {
+  const url = process.env.NOTIFY_CAPTURE_URL || 'http://localhost:3999/notifications';
+
+  return {
+    kind: 'capture',
+    channels: ['staff', 'email'],
+    async send(channel, message) {
+      return postJson(url, { channel, message });
+    }
+  };
+}
+
+function createLogTransport() {
+  return {
+    kind: 'log',
+    channels: ['staff', 'email'],
+    async send(channel, message) {
+      console.log(JSON.stringify({ notification: channel, ...message }));
+    }
+  };
+}
+
+export function getTransport() {
+  const kind = process.env.NOTIFY_TRANSPORT || 'live';
+
+  if (kind === 'live') {
+    return createLiveTransport();
+  }
+  if (kind === 'capture') {
+    return createCaptureTransport();
+  }
+  if (kind === 'log') {
+    return createLogTransport();
+  }
+  if (kind === 'off') {
+    return { kind: 'off', channels: [], async send() {} };
+  }
+
+  throw new Error(`Unknown NOTIFY_TRANSPORT: ${kind}`);
+}
@@ -0,0 +1,44 @@
+// lib/order-links.js - Signed claim links from Shopify's order status page and emails
+// A link names the order and when it expires (unix seconds), and carries an
+// HMAC of both made with the shop's `orderLinkSecret` (ORDER_LINK_SECRET for
+// a single shop), so the claim page can verify the order without the
+// customer typing its number and email:
+//   https://<claim page>/?order_id=<order ID>&exp=<expiry>&sig=<hex HMAC-SHA256 of `<order ID>.<expiry>`>
+// Liquid computes the same signature with its hmac_sha256 filter, e.g. on the
+// order status page, for a link valid for 30 days:
+//   {% assign claim_exp = 'now' | date: '%s' | plus: 2592000 %}
+//   {% assign claim_sig = order.id | append: '.' | append: claim_exp | hmac_sha256: '<secret>' %}
+//   <a href="https://claim.example.com/?order_id={{ order.id }}&exp={{ claim_exp }}&sig={{ claim_sig }}">Claim your items</a>
+// Links are refused once they expire, and so are links that claim to stay
+// valid for longer than MAX_LINK_TTL_DAYS.
+import crypto from 'crypto';
+
+const ORDER_ID_PATTERN = /^\d{1,20}$/;
+const EXPIRES_AT_PATTERN = /^\d{1,12}$/;
+export const MAX_LINK_TTL_DAYS = 30;
+
+export function signOrderLink(orderId, expiresAt, store) {
+  if (!store.orderLinkSecret) {
+    throw new Error(`Store ${store.storeId} has no order link secret`);
+  }
+  return crypto.createHmac('sha256', store.orderLinkSecret).update(`${orderId}.${expiresAt}`).digest('hex');
+}
+
+// Returns true only for a well-formed, unexpired order ID and expiry signed
+// with the shop's secret
+export function verifyOrderLink(orderId, expiresAt, signature, store) {
+  if (!store.orderLinkSecret || !ORDER_ID_PATTERN.test(String(orderId || '')) ||
+    !EXPIRES_AT_PATTERN.test(String(expiresAt || '')) || typeof signature !== 'string') {
+    return false;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const expires = Number(expiresAt);
+  if (expires <= now || expires > now + MAX_LINK_TTL_DAYS * 24 * 60 * 60) {
+    return false;
+  }
+
+  const expected = Buffer.from(signOrderLink(orderId, String(expiresAt), store));
+  const received = Buffer.from(signature.toLowerCase());
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
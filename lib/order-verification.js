@@ -0,0 +1,286 @@
+// lib/order-verification.js - Checking a customer's Shopify order before a claim
+// A customer proves they have an order with its number and email, or with a
+// signed order link (lib/order-links.js). Either way the order is checked
+// against the shop's eligibility rules and the result signed into the order
+// token the rest of the claim runs on.
+// Used by api/v1/orders/verify.js and the legacy api/verify.js. Returns
+// { ok, order, orderToken } or { ok: false, code, message, details } with a
+// code from lib/api-v1.js.
+import { findShopifyOrder, findShopifyOrderById } from './shopify.js';
+import { validateOrderForDelivery, getEligibilityRules, isClaimableLineItem } from './eligibility.js';
+import { resolveDeliverableItems, rejectsUndeliverableOrders } from './catalog.js';
+import { verifyOrderLink } from './order-links.js';
+import { recordOrderRejection } from './analytics.js';
+import { createAttemptLimiter } from './rate-limit.js';
+import { ownershipRequired } from './ownership.js';
+import { signToken } from './tokens.js';
+
+// ATTEMPT LIMITS
+const ENUMERATION_THRESHOLD = 3;
+
+const ORDER_NOT_FOUND = {
+  ok: false,
+  code: 'order_not_found',
+  message: 'Order not found',
+  details: 'Please check your order number and email address and try again'
+};
+
+const SERVER_MISCONFIGURED = { ok: false, code: 'server_misconfigured', message: 'Server configuration error' };
+
+export function getVerificationLimiters() {
+  return {
+    ip: createAttemptLimiter({
+      name: 'verify_ip',
+      maxFailures: 10,
+      windowMs: 15 * 60 * 1000,
+      baseLockoutMs: 15 * 60 * 1000
+    }),
+    order: createAttemptLimiter({
+      name: 'verify_order',
+      maxFailures: 5,
+      windowMs: 15 * 60 * 1000,
+      baseLockoutMs: 30 * 60 * 1000
+    })
+  };
+}
+
+export function normalizeOrderKey(orderNumber) {
+  return orderNumber.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+export function tooManyAttempts(retryAfterSeconds) {
+  return {
+    ok: false,
+    code: 'rate_limited',
+    message: 'Too many attempts',
+    details: `Please wait ${Math.ceil(retryAfterSeconds / 60)} minute(s) before trying again`,
+    retryAfter: retryAfterSeconds
+  };
+}
+
+export function logSuspiciousActivity(event, details) {
+  console.warn(JSON.stringify({ level: 'warn', event, ...details, at: new Date().toISOString() }));
+}
+
+function isConfigured(store) {
+  return !!(store.shopDomain && store.accessToken && process.env.CLAIM_TOKEN_SECRET);
+}
+
+// ORDER NUMBER + EMAIL
+export async function verifyOrder({ orderNumber, email }, { store, clientIp }) {
+  if (!orderNumber || !email) {
+    return { ok: false, code: 'invalid_request', message: 'Order number and email are required' };
+  }
+
+  const cleanOrderNumber = String(orderNumber).trim();
+  const cleanEmail = String(email).toLowerCase().trim();
+
+  // Basic email format validation
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleanEmail)) {
+    return { ok: false, code: 'invalid_request', message: 'Invalid email format' };
+  }
+
+  try {
+    if (!isConfigured(store)) {
+      return SERVER_MISCONFIGURED;
+    }
+
+    const orderKey = normalizeOrderKey(cleanOrderNumber);
+    const limiters = getVerificationLimiters();
+
+    const [ipCheck, orderCheck] = await Promise.all([
+      limiters.ip.check(clientIp),
+      limiters.order.check(orderKey)
+    ]);
+    if (!ipCheck.allowed || !orderCheck.allowed) {
+      return tooManyAttempts(Math.max(ipCheck.retryAfterSeconds, orderCheck.retryAfterSeconds));
+    }
+
+    // Search for the order in Shopify. The lookup matches name and email
+    // together, so an unknown order and a wrong email look exactly the same.
+    const searchResult = await findShopifyOrder(cleanOrderNumber, cleanEmail, store);
+
+    if (!searchResult) {
+      const [ipResult, orderResult] = await Promise.all([
+        limiters.ip.recordFailure(clientIp, orderKey),
+        limiters.order.recordFailure(orderKey, clientIp)
+      ]);
+
+      if (ipResult.distinctSubjects >= ENUMERATION_THRESHOLD) {
+        logSuspiciousActivity('order_enumeration_suspected', { ip: clientIp, distinctOrders: ipResult.distinctSubjects });
+      }
+      if (ipResult.locked || orderResult.locked) {
+        logSuspiciousActivity('verification_lockout', {
+          ip: clientIp,
+          orderKey,
+          ipLockouts: ipResult.lockouts,
+          orderLockouts: orderResult.lockouts
+        });
+      }
+
+      await recordOrderRejection('not_found', store.storeId);
+      return ORDER_NOT_FOUND;
+    }
+
+    await limiters.order.reset(orderKey);
+
+    return await checkFoundOrder(searchResult.order, store, cleanEmail);
+
+  } catch (error) {
+    return await lookupFailure(error, store);
+  }
+}
+
+// SIGNED ORDER LINKS
+// The link from Shopify's order status page or emails proves the customer
+// has the order, so it stands in for number + email
+export async function verifyOrderFromLink({ orderId, expiresAt, signature }, { store, clientIp }) {
+  if (!isConfigured(store)) {
+    return SERVER_MISCONFIGURED;
+  }
+
+  const ipLimiter = getVerificationLimiters().ip;
+  const ipCheck = await ipLimiter.check(clientIp);
+  if (!ipCheck.allowed) {
+    return tooManyAttempts(ipCheck.retryAfterSeconds);
+  }
+
+  const cleanOrderId = String(orderId).trim();
+  if (!verifyOrderLink(cleanOrderId, expiresAt, signature, store)) {
+    await ipLimiter.recordFailure(clientIp, cleanOrderId);
+    logSuspiciousActivity('order_link_rejected', { ip: clientIp, storeId: store.storeId, orderId: cleanOrderId });
+    await recordOrderRejection('invalid_link', store.storeId);
+    return {
+      ok: false,
+      code: 'invalid_order_link',
+      message: 'Invalid order link',
+      details: 'Please enter your order number and email address instead'
+    };
+  }
+
+  try {
+    const searchResult = await findShopifyOrderById(cleanOrderId, store);
+    if (!searchResult || !searchResult.order.email) {
+      await recordOrderRejection('not_found', store.storeId);
+      return ORDER_NOT_FOUND;
+    }
+
+    const order = searchResult.order;
+    return await checkFoundOrder(order, store, order.email.toLowerCase().trim());
+
+  } catch (error) {
+    return await lookupFailure(error, store);
+  }
+}
+
+// Checks a found order against the store's rules and signs the result
+async function checkFoundOrder(order, store, email) {
+  // Verify order is valid for delivery under the store's current rules
+  const rules = await getEligibilityRules(store.storeId);
+  const validationResult = validateOrderForDelivery(order, rules);
+  if (!validationResult.valid) {
+    await recordOrderRejection(validationResult.code, store.storeId);
+    return {
+      ok: false,
+      code: 'order_not_eligible',
+      message: validationResult.reason,
+      details: validationResult.details,
+      reason: validationResult.code
+    };
+  }
+
+  // Work out which in-game items the order entitles the customer to -
+  // products without a required tag are not part of the claim
+  const claimableLineItems = (order.line_items || []).filter(lineItem => isClaimableLineItem(lineItem, rules));
+  const lineItems = extractLineItems(claimableLineItems);
+  const { deliverableItems, unmatchedLineItems } = await resolveDeliverableItems(lineItems);
+  if (deliverableItems.length === 0 && rejectsUndeliverableOrders()) {
+    await recordOrderRejection('no_deliverable_items', store.storeId);
+    return {
+      ok: false,
+      code: 'no_deliverable_items',
+      message: 'Nothing in this order is delivered in-game',
+      details: 'Please contact support if you think this is a mistake'
+    };
+  }
+
+  const verifiedOrder = {
+    storeId: store.storeId,
+    orderNumber: order.name,
+    email,
+    orderId: order.id.toString(),
+    customerName: `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim(),
+    items: formatOrderItems(claimableLineItems),
+    lineItems,
+    deliverableItems,
+    unmatchedLineItems,
+    total: order.total_price,
+    currency: order.currency
+  };
+
+  return {
+    ok: true,
+    order: {
+      ...verifiedOrder,
+      orderDate: order.created_at,
+      fulfilled: order.fulfillment_status === 'fulfilled',
+      requiresOwnershipProof: ownershipRequired(order.total_price)
+    },
+    orderToken: signToken('order', verifiedOrder)
+  };
+}
+
+async function lookupFailure(error, store) {
+  await recordOrderRejection(error.code === 'SHOPIFY_THROTTLED' ? 'shopify_throttled' : 'lookup_error', store.storeId);
+
+  if (error.code === 'SHOPIFY_THROTTLED') {
+    return {
+      ok: false,
+      code: 'order_lookup_busy',
+      message: 'Order lookup is busy',
+      details: 'Please try again in a moment',
+      retryAfter: error.retryAfterSeconds || 5
+    };
+  }
+
+  console.error('Shopify API error:', error);
+  return {
+    ok: false,
+    code: 'order_lookup_failed',
+    message: 'Failed to verify order',
+    details: 'Please try again in a moment'
+  };
+}
+
+function extractLineItems(lineItems) {
+  if (!lineItems || lineItems.length === 0) {
+    return [];
+  }
+
+  return lineItems.map(item => ({
+    lineItemId: item.id?.toString() || null,
+    productId: item.product_id?.toString() || null,
+    variantId: item.variant_id?.toString() || null,
+    sku: item.sku || null,
+    title: item.title,
+    variantTitle: item.variant_title && item.variant_title !== 'Default Title' ? item.variant_title : null,
+    quantity: item.quantity
+  }));
+}
+
+function formatOrderItems(lineItems) {
+  if (!lineItems || lineItems.length === 0) {
+    return 'Digital Items';
+  }
+
+  return lineItems.map(item => {
+    let itemName = item.title;
+    if (item.variant_title && item.variant_title !== 'Default Title') {
+      itemName += ` (${item.variant_title})`;
+    }
+    if (item.quantity > 1) {
+      itemName += ` x${item.quantity}`;
+    }
+    return itemName;
+  }).join(', ');
+}
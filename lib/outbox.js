@@ -0,0 +1,131 @@
+// lib/outbox.js - Durable retry queue for registrations that did not finish
+// in time. Entries live in `registration_outbox/{registrationId}`; replaying
+// one goes through saveRegistration with the same registrationId, and the
+// per-order claim document makes a replay of an already-saved registration
+// come back as `existing` instead of writing a second claim.
+import { getDocumentStore } from './storage/index.js';
+import { saveRegistration } from './registrations.js';
+
+const MAX_OUTBOX_ATTEMPTS = 10;
+const IN_FLIGHT_GRACE_MS = 2 * 60 * 1000;
+
+function outbox() {
+  return getDocumentStore().collection('registration_outbox');
+}
+
+// Merges fields into an existing entry (missing entries are left alone)
+function updateEntry(registrationId, changes) {
+  return outbox().update(registrationId, (entry) => (entry ? { changes } : {}));
+}
+
+function nextAttemptTime(attempts) {
+  const delayMinutes = Math.min(2 ** attempts, 120);
+  return new Date(Date.now() + delayMinutes * 60000).toISOString();
+}
+
+// `in_flight`: a write is still running. `pending`: the write failed and is
+// waiting for the cron job. Both are picked up by processRegistrationOutbox.
+export async function queueRegistration(claimData, { inFlight = false, error = null } = {}) {
+  const now = new Date().toISOString();
+  await outbox().set(claimData.registrationId, {
+    registrationId: claimData.registrationId,
+    claimData,
+    status: inFlight ? 'in_flight' : 'pending',
+    attempts: inFlight ? 0 : 1,
+    lastError: error ? error.message : null,
+    createdAt: now,
+    updatedAt: now,
+    nextAttemptAt: inFlight ? null : nextAttemptTime(1)
+  });
+}
+
+export async function getOutboxEntry(registrationId) {
+  return outbox().get(registrationId);
+}
+
+async function recordOutcome(registrationId, result) {
+  await updateEntry(registrationId, {
+    status: result.outcome === 'conflict' ? 'conflict' : 'done',
+    outcome: result.outcome,
+    claimId: result.claimId,
+    savedRegistrationId: result.registrationId,
+    updatedAt: new Date().toISOString(),
+    nextAttemptAt: null
+  });
+}
+
+async function recordFailure(registrationId, attempts, error) {
+  await updateEntry(registrationId, {
+    status: attempts >= MAX_OUTBOX_ATTEMPTS ? 'failed' : 'pending',
+    attempts,
+    lastError: error.message,
+    updatedAt: new Date().toISOString(),
+    nextAttemptAt: attempts >= MAX_OUTBOX_ATTEMPTS ? null : nextAttemptTime(attempts)
+  });
+}
+
+// Runs after a timed-out response has been sent: records the registration as
+// in flight, then waits for the original write and settles the entry.
+export async function settleInBackground(claimData, savePromise) {
+  const queued = queueRegistration(claimData, { inFlight: true }).then(() => true, (error) => {
+    console.error(`Could not queue registration ${claimData.registrationId}:`, error);
+    return false;
+  });
+
+  let result;
+  let saveError;
+  try {
+    result = await savePromise;
+  } catch (error) {
+    saveError = error;
+  }
+
+  if (!(await queued)) {
+    return;
+  }
+
+  try {
+    if (saveError) {
+      await recordFailure(claimData.registrationId, 1, saveError);
+    } else {
+      await recordOutcome(claimData.registrationId, result);
+    }
+  } catch (error) {
+    console.error(`Could not settle outbox entry ${claimData.registrationId}:`, error);
+  }
+}
+
+// Cron job: replays in-flight registrations whose function never reported
+// back, then failed ones that are due, longest waiting first. Only due
+// entries are queried, so a backlog still backing off never hides them.
+export async function processRegistrationOutbox({ max = 25 } = {}) {
+  const now = Date.now();
+  const [stalled, retries] = await Promise.all([
+    outbox().find({
+      where: [['status', '==', 'in_flight'], ['updatedAt', '<=', new Date(now - IN_FLIGHT_GRACE_MS).toISOString()]],
+      orderBy: ['updatedAt', 'asc'],
+      limit: max
+    }),
+    outbox().find({
+      where: [['status', '==', 'pending'], ['nextAttemptAt', '<=', new Date(now).toISOString()]],
+      orderBy: ['nextAttemptAt', 'asc'],
+      limit: max
+    })
+  ]);
+  const due = [...stalled, ...retries].slice(0, max);
+
+  const results = [];
+  for (const entry of due) {
+    const attempts = (entry.attempts || 0) + 1;
+    try {
+      const result = await saveRegistration(entry.claimData);
+      await recordOutcome(entry.registrationId, result);
+      results.push({ registrationId: entry.registrationId, outcome: result.outcome });
+    } catch (error) {
+      await recordFailure(entry.registrationId, attempts, error);
+      results.push({ registrationId: entry.registrationId, outcome: 'error', error: error.message });
+    }
+  }
+
+  return { checked: due.length, replayed: results.length, results };
+}
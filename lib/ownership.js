@@ -0,0 +1,45 @@
+// lib/ownership.js - Proving a customer controls the Roblox account they claim
+// The customer pastes a random phrase into their profile "About"; we read the
+// public profile back and look for it.
+import crypto from 'crypto';
+
+const PHRASE_WORDS = [
+  'apple', 'bamboo', 'cactus', 'daisy', 'fern', 'garden', 'hazel', 'ivy',
+  'juniper', 'lemon', 'maple', 'nectar', 'olive', 'pepper', 'quince', 'radish',
+  'sage', 'tulip', 'violet', 'willow', 'yarrow', 'acorn', 'clover', 'lily'
+];
+const PHRASE_LENGTH = 5;
+
+// Words only: Roblox's text filter tends to hash out long digit sequences.
+export function generateOwnershipPhrase() {
+  const words = [];
+  for (let i = 0; i < PHRASE_LENGTH; i++) {
+    words.push(PHRASE_WORDS[crypto.randomInt(PHRASE_WORDS.length)]);
+  }
+  return words.join(' ');
+}
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Returns true/false, or throws when the profile cannot be read at all.
+export async function profileContainsPhrase(userId, phrase) {
+  const response = await fetch(`https://users.roblox.com/v1/users/${encodeURIComponent(userId)}`);
+  if (!response.ok) {
+    throw new Error(`Roblox profile lookup failed with ${response.status}`);
+  }
+
+  const profile = await response.json();
+  return normalize(profile.description).includes(normalize(phrase));
+}
+
+// Ownership proof is required for orders above ROBLOX_OWNERSHIP_THRESHOLD
+// (in the order currency). Unset or invalid disables the requirement.
+export function ownershipRequired(orderTotal) {
+  const threshold = parseFloat(process.env.ROBLOX_OWNERSHIP_THRESHOLD);
+  if (!Number.isFinite(threshold)) {
+    return false;
+  }
+  return parseFloat(orderTotal || 0) > threshold;
+}
@@ -0,0 +1,405 @@
+// lib/privacy.js - Retention, export and erasure of customers' personal data
+// Claims keep the customer's email, name, IP address and user agent, and
+// copies of some of it end up in the claim history, the notification outbox
+// and the registration outbox.
+//
+// Retention: the data-retention cron job strips IP address and user agent
+// (from the claim and its history) and replaces the email with a pseudonym
+// on claims completed, cancelled or refunded more than CLAIM_RETENTION_DAYS
+// (default 90) days ago. The pseudonym is a keyed hash, so an export or
+// erasure request for the same address still finds them. The job also
+// deletes expired claim page sessions, rate limit entries and game request
+// nonces (lib/game-auth.js).
+// Export and erasure: admins fetch or delete everything tied to an email or
+// a Roblox user ID through api/privacy.js. A Roblox account that only
+// received part of someone else's order is taken off that claim; the claim
+// itself stays with the customer who placed the order. Erasure also deletes
+// saved claim page progress for the subject's orders and accounts, and the
+// funnel events (lib/analytics.js) of those claim page visits.
+//
+// Each export, erasure and retention run is written to `privacy_log` - with
+// the subject pseudonymized, so the log does not keep what was erased.
+import crypto from 'crypto';
+import { getDocumentStore, getClaimRepository } from './storage/index.js';
+import { CLAIM_STATUSES, findClaimsByRobloxUserId } from './claims.js';
+import { listClaimEvents } from './claim-events.js';
+
+const DEFAULT_RETENTION_DAYS = 90;
+const RETENTION_BATCH_SIZE = 100;
+// Game servers sign every request with a fresh nonce, so a day's worth of
+// expired entries can run well past one batch
+const MAX_EXPIRY_BATCHES = 50;
+const PSEUDONYM_PREFIX = 'pseudonym:';
+const OPEN_STATUSES = [CLAIM_STATUSES.PENDING, CLAIM_STATUSES.ASSIGNED, CLAIM_STATUSES.PARTIAL];
+
+// Closed claims in the order they closed; each pass keeps its own cursor in
+// `privacy_state/retention`
+const RETENTION_PASSES = [
+  { cursor: 'completedThrough', field: 'completedAt', statuses: [CLAIM_STATUSES.COMPLETED] },
+  { cursor: 'closedThrough', field: 'closedAt', statuses: [CLAIM_STATUSES.CANCELLED, CLAIM_STATUSES.REFUNDED] }
+];
+
+export const PRIVACY_ACTIONS = {
+  EXPORT: 'export',
+  ERASE: 'erase',
+  RETENTION: 'retention'
+};
+
+function collection(name) {
+  return getDocumentStore().collection(name);
+}
+
+function getRetentionDays() {
+  const days = parseInt(process.env.CLAIM_RETENTION_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function getPseudonymSecret() {
+  const secret = process.env.PRIVACY_PSEUDONYM_SECRET || process.env.CLAIM_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('Missing PRIVACY_PSEUDONYM_SECRET environment variable');
+  }
+  return secret;
+}
+
+// Stable for the same input, so pseudonymized claims can still be matched.
+// Deliberately not an email address - nothing gets sent to it.
+export function pseudonymize(value) {
+  const digest = crypto.createHmac('sha256', getPseudonymSecret())
+    .update(String(value).trim().toLowerCase())
+    .digest('hex');
+  return `${PSEUDONYM_PREFIX}${digest.slice(0, 32)}`;
+}
+
+function isPseudonym(value) {
+  return typeof value === 'string' && value.startsWith(PSEUDONYM_PREFIX);
+}
+
+// Returns { subject } with exactly one of email / robloxUserId, or { error }
+function cleanSubject(input) {
+  const email = typeof input?.email === 'string' ? input.email.trim().toLowerCase() : '';
+  const robloxUserId = input?.robloxUserId !== undefined && input?.robloxUserId !== null
+    ? String(input.robloxUserId).trim()
+    : '';
+
+  if (!!email === !!robloxUserId) {
+    return { error: 'Give either email or robloxUserId' };
+  }
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { error: 'email is not a valid email address' };
+  }
+  if (robloxUserId && !/^\d{1,20}$/.test(robloxUserId)) {
+    return { error: 'robloxUserId must be a numeric Roblox user ID' };
+  }
+
+  return { subject: email ? { type: 'email', value: email } : { type: 'robloxUserId', value: robloxUserId } };
+}
+
+async function findSubjectClaims(subject) {
+  if (subject.type === 'robloxUserId') {
+    return findClaimsByRobloxUserId(subject.value);
+  }
+
+  // Claims still holding the address, and claims retention already pseudonymized
+  const repo = getClaimRepository();
+  const [plain, pseudonymized] = await Promise.all([
+    repo.query({ where: [['email', '==', subject.value]] }),
+    repo.query({ where: [['email', '==', pseudonymize(subject.value)]] })
+  ]);
+  const byId = new Map([...plain, ...pseudonymized].map(claim => [claim.claimId, claim]));
+  return [...byId.values()];
+}
+
+// Secondary recipients of a claim, as opposed to the account that claimed it
+function isOtherRecipient(claim, subject) {
+  return subject.type === 'robloxUserId' && claim.robloxUserId !== subject.value;
+}
+
+// Saved claim page progress (lib/claim-sessions.js) for the subject's
+// orders or account. Progress saved before the email was left out still has
+// it, so an email subject is looked up directly as well.
+async function findSubjectSessions(subject, claims) {
+  const sessions = collection('claim_sessions');
+  const orderIds = [...new Set(claims.map(claim => claim.orderId).filter(Boolean).map(String))];
+  const direct = subject.type === 'email'
+    ? ['progress.orderData.email', '==', subject.value]
+    : ['progress.userData.userId', '==', subject.value];
+
+  const found = await Promise.all([
+    sessions.find({ where: [direct] }),
+    ...orderIds.map(orderId => sessions.find({ where: [['progress.orderData.orderId', '==', orderId]] }))
+  ]);
+  return [...new Map(found.flat().map(session => [session.id, session])).values()];
+}
+
+// Deletes the sessions and the funnel events of the claim page visits they
+// record. Returns how many of each were deleted.
+async function eraseSessions(sessions) {
+  const funnelSessionIds = [...new Set(sessions.map(session => session.progress?.funnelSessionId).filter(Boolean))];
+  const funnelEvents = (await Promise.all(funnelSessionIds.map(sessionId =>
+    collection('funnel_events').find({ where: [['sessionId', '==', sessionId]] })
+  ))).flat();
+
+  await Promise.all([
+    ...sessions.map(session => collection('claim_sessions').update(session.id, () => ({ delete: true }))),
+    ...funnelEvents.map(event => collection('funnel_events').update(event.id, () => ({ delete: true })))
+  ]);
+  return { sessions: sessions.length, funnelEvents: funnelEvents.length };
+}
+
+async function findNotifications(claimId) {
+  return collection('notification_outbox').find({ where: [['claimId', '==', claimId]] });
+}
+
+async function writeLog(action, actor, details) {
+  const at = new Date().toISOString();
+  const logId = `${at.replace(/[^0-9]/g, '')}_${crypto.randomUUID().slice(0, 8)}`;
+  await collection('privacy_log').set(logId, { ...details, action, actor, at });
+  return logId;
+}
+
+function subjectForLog(subject) {
+  return { subjectType: subject.type, subjectPseudonym: pseudonymize(subject.value) };
+}
+
+// EXPORT
+// Returns { ok, export } or { ok: false, code: 'invalid', message }.
+export async function exportSubjectData(input, actor) {
+  const { subject, error } = cleanSubject(input);
+  if (error) {
+    return { ok: false, code: 'invalid', message: error };
+  }
+
+  const claims = await findSubjectClaims(subject);
+  const exported = await Promise.all(claims.map(async (claim) => ({
+    claim,
+    history: (await listClaimEvents(claim.claimId)).map(({ id, ...event }) => event),
+    notifications: (await findNotifications(claim.claimId)).map(({ id, ...notification }) => notification)
+  })));
+
+  const logId = await writeLog(PRIVACY_ACTIONS.EXPORT, actor, {
+    ...subjectForLog(subject),
+    claimIds: claims.map(claim => claim.claimId)
+  });
+
+  return {
+    ok: true,
+    export: {
+      subject: { type: subject.type, value: subject.value },
+      generatedAt: new Date().toISOString(),
+      logId,
+      claims: exported
+    }
+  };
+}
+
+// ERASURE
+// Deletes the claims and everything kept alongside them. Claims still being
+// delivered are left alone unless `includeOpen` is set - erasing one means
+// the customer never gets their items.
+// Returns { ok, erasedClaimIds, logId } or { ok: false, code, message }.
+export async function eraseSubjectData(input, actor, { includeOpen = false } = {}) {
+  const { subject, error } = cleanSubject(input);
+  if (error) {
+    return { ok: false, code: 'invalid', message: error };
+  }
+
+  const claims = await findSubjectClaims(subject);
+  const open = claims.filter(claim => OPEN_STATUSES.includes(claim.status));
+  if (open.length > 0 && !includeOpen) {
+    return {
+      ok: false,
+      code: 'open_claims',
+      message: `${open.length} claim(s) are still being delivered - pass includeOpen to erase them anyway`,
+      openClaimIds: open.map(claim => claim.claimId)
+    };
+  }
+
+  const repo = getClaimRepository();
+  const erased = claims.filter(claim => !isOtherRecipient(claim, subject));
+  const sharedWith = claims.filter(claim => isOtherRecipient(claim, subject));
+
+  for (const claim of sharedWith) {
+    await removeRecipient(claim, subject.value);
+  }
+
+  for (const claim of erased) {
+    const [events, notifications] = await Promise.all([
+      listClaimEvents(claim.claimId),
+      findNotifications(claim.claimId)
+    ]);
+    await Promise.all([
+      ...events.map(event => collection('claim_events').update(event.id, () => ({ delete: true }))),
+      ...notifications.map(notification => collection('notification_outbox').update(notification.id, () => ({ delete: true }))),
+      claim.registrationId
+        ? collection('registration_outbox').update(claim.registrationId, () => ({ delete: true }))
+        : null
+    ]);
+    await repo.remove(claim.claimId);
+  }
+
+  const erasedProgress = await eraseSessions(await findSubjectSessions(subject, claims));
+
+  const erasedClaimIds = erased.map(claim => claim.claimId);
+  const removedFromClaimIds = sharedWith.map(claim => claim.claimId);
+  const logId = await writeLog(PRIVACY_ACTIONS.ERASE, actor, {
+    ...subjectForLog(subject),
+    claimIds: erasedClaimIds,
+    removedFromClaimIds,
+    erasedSessions: erasedProgress.sessions,
+    erasedFunnelEvents: erasedProgress.funnelEvents,
+    includedOpenClaims: open.length
+  });
+
+  return { ok: true, erasedClaimIds, removedFromClaimIds, logId };
+}
+
+// Takes one recipient's account off a claim and its history. Items that were
+// split to the account stay on the claim, without saying who they were for.
+async function removeRecipient(claim, robloxUserId) {
+  const forgetAccount = row => (row.robloxUserId === robloxUserId ? { ...row, robloxUserId: null, robloxUsername: null } : row);
+
+  await getClaimRepository().modify(claim.claimId, (current) => ({
+    changes: {
+      recipients: (current.recipients || []).filter(recipient => recipient.robloxUserId !== robloxUserId),
+      robloxUserIds: (current.robloxUserIds || []).filter(id => id !== robloxUserId),
+      allocations: (current.allocations || []).map(forgetAccount)
+    },
+    result: { ok: true }
+  }));
+
+  const events = (await listClaimEvents(claim.claimId)).filter(event =>
+    (event.accounts || []).some(account => account.robloxUserId === robloxUserId) ||
+    (event.delivered || []).some(row => row.robloxUserId === robloxUserId)
+  );
+  await Promise.all(events.map(event => collection('claim_events').update(event.id, () => ({
+    changes: {
+      ...(event.accounts ? { accounts: event.accounts.filter(account => account.robloxUserId !== robloxUserId) } : {}),
+      ...(event.delivered ? { delivered: event.delivered.map(forgetAccount) } : {})
+    }
+  }))));
+}
+
+// RETENTION
+async function redactClaim(claim) {
+  const email = isPseudonym(claim.email) || !claim.email?.includes('@') ? claim.email : pseudonymize(claim.email);
+  const retainedAt = new Date().toISOString();
+
+  await getClaimRepository().update(claim.claimId, {
+    email,
+    ipAddress: null,
+    userAgent: null,
+    retentionAppliedAt: retainedAt
+  });
+
+  const [events, notifications] = await Promise.all([
+    listClaimEvents(claim.claimId),
+    findNotifications(claim.claimId)
+  ]);
+  await Promise.all([
+    ...events
+      .filter(event => event.ipAddress || event.userAgent)
+      .map(event => collection('claim_events').update(event.id, () => ({ changes: { ipAddress: null, userAgent: null } }))),
+    ...notifications
+      .filter(notification => notification.channel === 'email' && !isPseudonym(notification.message?.to))
+      .map(notification => collection('notification_outbox').update(notification.id, () => ({
+        changes: { message: { ...notification.message, to: email } }
+      }))),
+    // The registration is saved; its outbox copy of the request is not needed
+    claim.registrationId
+      ? collection('registration_outbox').update(claim.registrationId, () => ({ delete: true }))
+      : null
+  ]);
+}
+
+async function deleteExpired(collectionName) {
+  const now = new Date().toISOString();
+  let deleted = 0;
+  for (let batch = 0; batch < MAX_EXPIRY_BATCHES; batch++) {
+    const expired = await collection(collectionName).find({
+      where: [['expiresAt', '<', now]],
+      limit: RETENTION_BATCH_SIZE
+    });
+    await Promise.all(expired.map(entry =>
+      collection(collectionName).update(entry.id, () => ({ delete: true }))
+    ));
+    deleted += expired.length;
+    if (expired.length < RETENTION_BATCH_SIZE) {
+      break;
+    }
+  }
+  return deleted;
+}
+
+// Cron job (see vercel.json). Works through closed claims in the order they
+// closed, remembering in `privacy_state/retention` how far it got, so each
+// run only reads claims it has not handled yet.
+export async function applyRetentionPolicy() {
+  const retentionDays = getRetentionDays();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const state = await collection('privacy_state').get('retention') || {};
+
+  const claims = [];
+  const cursors = {};
+  let more = false;
+  for (const pass of RETENTION_PASSES) {
+    const where = [['status', 'in', pass.statuses], [pass.field, '<=', cutoff]];
+    if (state[pass.cursor]) {
+      where.push([pass.field, '>', state[pass.cursor]]);
+    }
+    const batch = await getClaimRepository().query({
+      where,
+      orderBy: [pass.field, 'asc'],
+      limit: RETENTION_BATCH_SIZE
+    });
+
+    for (const claim of batch) {
+      await redactClaim(claim);
+    }
+
+    if (batch.length > 0) {
+      cursors[pass.cursor] = batch[batch.length - 1][pass.field];
+    }
+    more = more || batch.length === RETENTION_BATCH_SIZE;
+    claims.push(...batch);
+  }
+
+  // Sessions of the claim page (lib/claim-sessions.js) that ran out, and
+  // rate limit entries (lib/rate-limit.js) past their lockout
+  const expiredSessions = await deleteExpired('claim_sessions');
+  const expiredRateLimits = await deleteExpired('rate_limits');
+  const expiredNonces = await deleteExpired('game_request_nonces');
+
+  if (claims.length > 0) {
+    const { updatedAt, ...previous } = state;
+    await collection('privacy_state').set('retention', {
+      ...previous,
+      ...cursors,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  if (claims.length > 0 || expiredSessions > 0 || expiredRateLimits > 0) {
+    await writeLog(PRIVACY_ACTIONS.RETENTION, 'system', {
+      retentionDays,
+      claimIds: claims.map(claim => claim.claimId),
+      expiredSessions,
+      expiredRateLimits
+    });
+  }
+
+  return {
+    retentionDays,
+    redacted: claims.length,
+    expiredSessions,
+    expiredRateLimits,
+    expiredNonces,
+    more
+  };
+}
+
+// Newest first
+export async function listPrivacyLog({ limit = 100 } = {}) {
+  return (await collection('privacy_log').find({ orderBy: ['at', 'desc'], limit }))
+    .map(({ id, ...entry }) => ({ logId: id, ...entry }));
+}
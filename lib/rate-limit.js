@@ -0,0 +1,168 @@
+// lib/rate-limit.js - Failed-attempt limiting with lockout and backoff, and
+// plain request limiting
+// Limiter state goes through a small store interface:
+//   get(key) -> record | null
+//   set(key, record, ttlMs)
+// The memory store is enough for `vercel dev`; production needs the
+// persistent store (the configured storage backend, normally Firestore)
+// because every serverless instance has its own memory. Updates are
+// read-modify-write, so concurrent requests can undercount by a few attempts.
+import crypto from 'crypto';
+import { getDocumentStore } from './storage/index.js';
+
+export function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.record;
+    },
+    async set(key, record, ttlMs) {
+      entries.set(key, { record, expiresAt: Date.now() + ttlMs });
+    }
+  };
+}
+
+export function createPersistentStore(collectionName = 'rate_limits') {
+  // Keys contain IP addresses and order numbers, so only their hash is stored
+  const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+  const entries = () => getDocumentStore().collection(collectionName);
+
+  return {
+    async get(key) {
+      const data = await entries().get(hashKey(key));
+      if (!data) {
+        return null;
+      }
+      return new Date(data.expiresAt).getTime() > Date.now() ? data.record : null;
+    },
+    async set(key, record, ttlMs) {
+      await entries().set(hashKey(key), { record, expiresAt: new Date(Date.now() + ttlMs).toISOString() });
+    }
+  };
+}
+
+let defaultStore = null;
+
+export function getRateLimitStore() {
+  if (!defaultStore) {
+    // `firestore` is accepted for configurations written before the storage
+    // backend became pluggable
+    const kind = process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? 'persistent' : 'memory');
+    defaultStore = ['persistent', 'firestore'].includes(kind) ? createPersistentStore() : createMemoryStore();
+  }
+  return defaultStore;
+}
+
+// Counts failures per key inside a sliding window. Reaching `maxFailures`
+// locks the key; each further lockout doubles in length up to `maxLockoutMs`.
+// `subject` (e.g. the order number an IP tried) is remembered so callers can
+// spot one client cycling through many different orders. Only a hash of it is
+// kept - subjects are often IP addresses.
+export function createAttemptLimiter({
+  name,
+  store = getRateLimitStore(),
+  maxFailures,
+  windowMs,
+  baseLockoutMs,
+  maxLockoutMs = 24 * 60 * 60 * 1000
+}) {
+  const storageKey = (key) => `${name}:${key}`;
+
+  return {
+    async check(key) {
+      const record = await store.get(storageKey(key));
+      const lockedUntil = record?.lockedUntil || 0;
+
+      if (lockedUntil > Date.now()) {
+        return { allowed: false, retryAfterSeconds: Math.ceil((lockedUntil - Date.now()) / 1000) };
+      }
+      return { allowed: true, retryAfterSeconds: 0 };
+    },
+
+    async recordFailure(key, subject = null) {
+      const now = Date.now();
+      const previous = await store.get(storageKey(key));
+      const windowExpired = !previous || now - previous.windowStart > windowMs;
+
+      const record = {
+        windowStart: windowExpired ? now : previous.windowStart,
+        failures: windowExpired ? 1 : previous.failures + 1,
+        lockouts: previous?.lockouts || 0,
+        lockedUntil: 0,
+        subjects: windowExpired ? [] : (previous.subjects || [])
+      };
+
+      const subjectHash = subject ? crypto.createHash('sha256').update(String(subject)).digest('hex').slice(0, 16) : null;
+      if (subjectHash && !record.subjects.includes(subjectHash)) {
+        record.subjects = [...record.subjects, subjectHash].slice(-20);
+      }
+
+      let locked = false;
+      if (record.failures >= maxFailures) {
+        record.lockouts += 1;
+        record.lockedUntil = now + Math.min(baseLockoutMs * 2 ** (record.lockouts - 1), maxLockoutMs);
+        record.failures = 0;
+        record.windowStart = now;
+        locked = true;
+      }
+
+      // Keep lockout history around long enough for the backoff to matter
+      await store.set(storageKey(key), record, Math.max(windowMs, maxLockoutMs));
+
+      return {
+        locked,
+        failures: record.failures,
+        lockouts: record.lockouts,
+        distinctSubjects: record.subjects.length,
+        retryAfterSeconds: locked ? Math.ceil((record.lockedUntil - now) / 1000) : 0
+      };
+    },
+
+    async reset(key) {
+      const previous = await store.get(storageKey(key));
+      if (previous) {
+        await store.set(storageKey(key), { ...previous, failures: 0, subjects: [] }, Math.max(windowMs, maxLockoutMs));
+      }
+    }
+  };
+}
+
+// Counts every request per key in fixed windows, for endpoints anyone may
+// call where each request - not just a failed one - costs a write. Going over
+// `maxRequests` only refuses requests until the window ends: there is no
+// lockout or backoff, and refused requests write nothing.
+export function createRequestLimiter({ name, store = getRateLimitStore(), maxRequests, windowMs }) {
+  const storageKey = (key) => `${name}:${key}`;
+
+  return {
+    async take(key) {
+      const now = Date.now();
+      const previous = await store.get(storageKey(key));
+      const window = previous && now - previous.windowStart < windowMs
+        ? previous
+        : { windowStart: now, requests: 0 };
+      const remainingMs = window.windowStart + windowMs - now;
+
+      if (window.requests >= maxRequests) {
+        return { allowed: false, retryAfterSeconds: Math.ceil(remainingMs / 1000) };
+      }
+
+      await store.set(storageKey(key), { windowStart: window.windowStart, requests: window.requests + 1 }, remainingMs);
+      return { allowed: true, retryAfterSeconds: 0 };
+    }
+  };
+}
+
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.connection?.remoteAddress || req.socket?.remoteAddress || 'unknown';
+}
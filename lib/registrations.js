@@ -0,0 +1,164 @@
+// lib/registrations.js - Persisting delivery registrations
+import { getClaimRepository, getDocumentStore } from './storage/index.js';
+import { notifyClaimEvent } from './notifications/index.js';
+import { CLAIM_EVENT_TYPES, recordClaimEvent } from './claim-events.js';
+import { getDefaultStore } from './stores.js';
+
+// SAVE FUNCTION FOR DELIVERY REGISTRATION
+// One document per Shopify order: the doc ID is derived from the order, so two
+// registrations for the same order always land on the same document and the
+// repository's atomic create decides which one wins.
+export async function saveRegistration(deliveryData) {
+  const startTime = Date.now();
+  
+  try {
+    const claimId = buildClaimId(deliveryData.order);
+    const registrationId = deliveryData.registrationId || generateDeliveryId();
+    const robloxUserId = deliveryData.roblox?.userId?.toString() || 'N/A';
+    
+    const docData = {
+      registrationId,
+      claimId,
+      // Which shop in lib/stores.js the order belongs to
+      storeId: deliveryData.storeId || getDefaultStore().storeId,
+      idempotencyKey: deliveryData.idempotencyKey || null,
+      createdAt: new Date().toISOString(),
+      
+      // Order details
+      orderNumber: deliveryData.order?.orderNumber || 'N/A',
+      email: deliveryData.order?.email || 'N/A',
+      orderItems: deliveryData.order?.items || 'Digital Items',
+      lineItems: deliveryData.order?.lineItems || [],
+      deliverableItems: deliveryData.order?.deliverableItems || [],
+      unmatchedLineItems: deliveryData.order?.unmatchedLineItems || [],
+      // Some products have no catalog entry - staff must check what to hand over
+      needsReview: (deliveryData.order?.unmatchedLineItems || []).length > 0,
+      orderTotal: deliveryData.order?.total || 'N/A',
+      orderCurrency: deliveryData.order?.currency || 'USD',
+      orderId: deliveryData.order?.orderId || null,
+      customerName: deliveryData.order?.customerName || null,
+      
+      // Roblox details
+      robloxUsername: deliveryData.roblox?.username || 'N/A',
+      robloxUsernameLower: deliveryData.roblox?.username?.toLowerCase() || null,
+      robloxUserId,
+      robloxAvatarUrl: deliveryData.roblox?.avatar || null,
+      robloxOwnershipVerifiedAt: deliveryData.roblox?.ownershipVerifiedAt || null,
+      
+      // Every account receiving items (the primary one first) and how much
+      // of each line item goes to which account - see lib/allocations.js
+      recipients: (deliveryData.recipients || [deliveryData.roblox || {}]).map(recipient => ({
+        robloxUserId: recipient.userId?.toString() || 'N/A',
+        robloxUsername: recipient.username || 'N/A',
+        robloxAvatarUrl: recipient.avatar || null,
+        ownershipVerifiedAt: recipient.ownershipVerifiedAt || null
+      })),
+      robloxUserIds: (deliveryData.recipients || [deliveryData.roblox || {}]).map(recipient => recipient.userId?.toString() || 'N/A'),
+      allocations: deliveryData.allocations || [],
+      
+      // Delivery tracking - the server to join and staff member to friend
+      // come from the roster (lib/roster.js)
+      deliveryServer: deliveryData.deliveryServer || null,
+      deliveryServerId: deliveryData.deliveryServer?.serverId || null,
+      deliveryContact: deliveryData.deliveryContact || null,
+      deliveryContactId: deliveryData.deliveryContact?.staffId || null,
+      status: 'pending_delivery',
+      deliveryStaffAssigned: null,
+      serverJoinTime: deliveryData.serverJoinTime || new Date().toISOString(),
+      completedAt: null,
+      
+      // System metadata
+      processedBy: 'delivery_system_v2.3',
+      source: 'affordable_garden_delivery',
+      apiVersion: '2.3',
+      userAgent: deliveryData.userAgent || null,
+      ipAddress: deliveryData.ipAddress || null,
+      stepCompletionTimes: deliveryData.stepCompletionTimes || null,
+      totalProcessingTime: Date.now() - startTime
+    };
+
+    const { created, claim: existing } = await getClaimRepository().create(claimId, docData);
+    
+    let outcome = { outcome: 'created', registrationId, claim: docData };
+    if (!created) {
+      const sameRequest = !!docData.idempotencyKey && existing.idempotencyKey === docData.idempotencyKey;
+      const sameAccount = existing.robloxUserId === robloxUserId;
+      
+      outcome = sameRequest || sameAccount
+        ? { outcome: 'existing', registrationId: existing.registrationId, status: existing.status, claim: existing }
+        : { outcome: 'conflict', status: existing.status };
+    }
+    
+    if (created) {
+      await recordCreation(claimId, docData);
+      notifyClaimEvent('registered', { claimId, ...docData });
+    }
+    
+    const elapsed = Date.now() - startTime;
+    
+    return {
+      success: outcome.outcome !== 'conflict',
+      outcome: outcome.outcome,
+      registrationId: outcome.registrationId || null,
+      status: outcome.status || docData.status,
+      // A repeat registration keeps the team it was given the first time
+      deliveryServer: outcome.claim?.deliveryServer || null,
+      deliveryContact: outcome.claim?.deliveryContact || null,
+      claimId,
+      storage: getDocumentStore().kind,
+      collection: 'delivery_requests',
+      timing: elapsed,
+      docPath: `delivery_requests/${claimId}`
+    };
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    console.error(`Registration save failed after ${elapsed}ms:`, error);
+    throw error;
+  }
+}
+
+// The first two entries of the claim's history: who registered it and what
+// the order and Roblox checks found at the time
+async function recordCreation(claimId, docData) {
+  await recordClaimEvent(claimId, CLAIM_EVENT_TYPES.CREATED, 'customer', {
+    registrationId: docData.registrationId,
+    status: docData.status,
+    ipAddress: docData.ipAddress,
+    userAgent: docData.userAgent,
+    idempotencyKey: docData.idempotencyKey
+  });
+
+  await recordClaimEvent(claimId, CLAIM_EVENT_TYPES.VERIFIED, 'customer', {
+    order: {
+      orderId: docData.orderId,
+      orderNumber: docData.orderNumber,
+      total: docData.orderTotal,
+      currency: docData.orderCurrency,
+      deliverableItems: docData.deliverableItems.length,
+      unmatchedLineItems: docData.unmatchedLineItems.map(item => item.title),
+      needsReview: docData.needsReview
+    },
+    accounts: docData.recipients.map(recipient => ({
+      robloxUserId: recipient.robloxUserId,
+      robloxUsername: recipient.robloxUsername,
+      ownershipVerified: !!recipient.ownershipVerifiedAt
+    }))
+  });
+}
+
+// UTILITY FUNCTIONS
+export function buildClaimId(order) {
+  if (order?.orderId) {
+    return `order_${order.orderId.toString().replace(/[^A-Za-z0-9]/g, '')}`;
+  }
+  
+  const normalizedNumber = (order?.orderNumber || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return `order_name_${normalizedNumber}`;
+}
+
+export function generateDeliveryId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 6).toUpperCase();
+  return `AG_${timestamp}_${random}`;
+}
@@ -0,0 +1,115 @@
+// lib/roblox-users.js - Looking up the Roblox account a claim is delivered to
+// Used by api/v1/roblox/users/verify.js and the legacy api/verify.js.
+// Returns { ok, user, robloxToken } or { ok: false, code, message, details }
+// with a code from lib/api-v1.js. The signed robloxToken is what registration
+// trusts about the account - see lib/claim-registration.js.
+import { signToken } from './tokens.js';
+
+export const USERNAME_PATTERN = '^[A-Za-z0-9_]{3,20}$';
+
+async function fetchAvatarUrl(userId) {
+  let avatarUrl = `https://www.roblox.com/headshot-thumbnail/image?userId=${userId}&width=150&height=150&format=png&v=${Date.now()}`;
+
+  try {
+    const avatarResponse = await fetch(`https://thumbnails.roblox.com/v1/users/avatar-headshot?userIds=${userId}&size=150x150&format=Png&isCircular=false`);
+    if (avatarResponse.ok) {
+      const avatarData = await avatarResponse.json();
+      if (avatarData.data && avatarData.data[0] && avatarData.data[0].imageUrl) {
+        avatarUrl = avatarData.data[0].imageUrl;
+      }
+    }
+  } catch (avatarError) {
+    // Use fallback URL
+  }
+  return avatarUrl;
+}
+
+// Method 1: Username-to-ID conversion
+async function findByUsername(username) {
+  try {
+    const usernameToIdResponse = await fetch('https://users.roblox.com/v1/usernames/users', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        usernames: [username],
+        excludeBannedUsers: true
+      })
+    });
+
+    if (usernameToIdResponse.ok) {
+      const usernameData = await usernameToIdResponse.json();
+      const userData = usernameData.data && usernameData.data[0];
+      if (userData && userData.name && userData.name.toLowerCase() === username.toLowerCase()) {
+        return userData;
+      }
+    }
+  } catch (apiError) {
+    console.error('Username-to-ID API error:', apiError.message);
+  }
+  return null;
+}
+
+// Method 2: Fallback to search API
+async function findBySearch(username) {
+  try {
+    const userSearchResponse = await fetch(`https://users.roblox.com/v1/users/search?keyword=${encodeURIComponent(username)}&limit=10`);
+
+    if (userSearchResponse.ok) {
+      const userSearchData = await userSearchResponse.json();
+      return (userSearchData.data || []).find(user =>
+        user.name && user.name.toLowerCase() === username.toLowerCase()
+      ) || null;
+    }
+  } catch (apiError) {
+    console.error('Search API error:', apiError.message);
+  }
+  return null;
+}
+
+export async function verifyRobloxUser(username) {
+  if (!username || typeof username !== 'string' || username.trim() === '') {
+    return { ok: false, code: 'invalid_request', message: 'Username is required' };
+  }
+
+  const cleanUsername = username.trim();
+
+  if (cleanUsername.length < 3 || cleanUsername.length > 20) {
+    return { ok: false, code: 'invalid_request', message: 'Username must be between 3-20 characters' };
+  }
+
+  if (!new RegExp(USERNAME_PATTERN).test(cleanUsername)) {
+    return { ok: false, code: 'invalid_request', message: 'Username can only contain letters, numbers, and underscores' };
+  }
+
+  if (!process.env.CLAIM_TOKEN_SECRET) {
+    return { ok: false, code: 'server_misconfigured', message: 'Server configuration error' };
+  }
+
+  const found = await findByUsername(cleanUsername) || await findBySearch(cleanUsername);
+  if (!found) {
+    return {
+      ok: false,
+      code: 'roblox_user_not_found',
+      message: `User "${cleanUsername}" not found`,
+      details: 'Please check the spelling and try again (case-sensitive)'
+    };
+  }
+
+  const user = {
+    userId: found.id.toString(),
+    username: found.name,
+    avatarUrl: await fetchAvatarUrl(found.id)
+  };
+
+  return {
+    ok: true,
+    user,
+    robloxToken: signToken('roblox', {
+      userId: user.userId,
+      username: user.username,
+      avatar: user.avatarUrl
+    })
+  };
+}
@@ -0,0 +1,229 @@
+// lib/roster.js - Delivery servers and on-duty staff
+// Servers (`delivery_servers`) are Roblox private servers customers join;
+// staff (`delivery_staff`) are the accounts customers friend so they can be
+// found in-game. Each claim gets one of each at registration, whichever has
+// the most spare capacity, counted in open claims. Until the roster is set up
+// the original server and staff member are used.
+import { getDocumentStore, getClaimRepository } from './storage/index.js';
+import { CLAIM_STATUSES } from './claims.js';
+
+const SERVERS_COLLECTION = 'delivery_servers';
+const STAFF_COLLECTION = 'delivery_staff';
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_CAPACITY = 25;
+
+// Claims that still occupy a server slot / staff member
+const OPEN_STATUSES = [CLAIM_STATUSES.PENDING, CLAIM_STATUSES.ASSIGNED, CLAIM_STATUSES.PARTIAL];
+
+const FALLBACK_SERVER = {
+  serverId: 'default',
+  name: 'Delivery Server',
+  shareUrl: 'https://www.roblox.com/share?code=3f541f34634d5a448517bd05693722a1&type=Server',
+  capacity: DEFAULT_CAPACITY,
+  active: true
+};
+
+const FALLBACK_STAFF = {
+  staffId: 'meow82412',
+  displayName: 'meow82412',
+  robloxUserId: '8579897302',
+  capacity: DEFAULT_CAPACITY,
+  active: true
+};
+
+function staffProfileUrl(staff) {
+  return `https://www.roblox.com/users/${staff.robloxUserId}/profile`;
+}
+
+// What a claim records about its server and staff member
+export function toClaimServer(server) {
+  return { serverId: server.serverId, name: server.name, shareUrl: server.shareUrl };
+}
+
+export function toClaimContact(staff) {
+  return {
+    staffId: staff.staffId,
+    displayName: staff.displayName,
+    robloxUserId: staff.robloxUserId,
+    profileUrl: staffProfileUrl(staff)
+  };
+}
+
+// Returns { entry } ready to store, or { error } describing the first problem.
+function cleanServer(input) {
+  if (!ID_PATTERN.test(input?.serverId || '')) {
+    return { error: 'serverId must be 1-64 letters, numbers, dashes or underscores' };
+  }
+
+  let shareUrl;
+  try {
+    shareUrl = new URL(input.shareUrl);
+  } catch (error) {
+    return { error: 'shareUrl must be a Roblox private server link' };
+  }
+  if (shareUrl.protocol !== 'https:' || !/(^|\.)roblox\.com$/.test(shareUrl.hostname)) {
+    return { error: 'shareUrl must be a Roblox private server link' };
+  }
+
+  return {
+    entry: {
+      serverId: input.serverId,
+      name: typeof input.name === 'string' && input.name.trim() ? input.name.trim().slice(0, 100) : input.serverId,
+      shareUrl: shareUrl.toString(),
+      capacity: cleanCapacity(input.capacity),
+      active: input.active !== false
+    }
+  };
+}
+
+function cleanStaff(input) {
+  if (!ID_PATTERN.test(input?.staffId || '')) {
+    return { error: 'staffId must be 1-64 letters, numbers, dashes or underscores' };
+  }
+
+  const robloxUserId = input.robloxUserId ? input.robloxUserId.toString() : '';
+  if (!/^\d+$/.test(robloxUserId)) {
+    return { error: 'robloxUserId must be the numeric Roblox user ID' };
+  }
+
+  return {
+    entry: {
+      staffId: input.staffId,
+      displayName: typeof input.displayName === 'string' && input.displayName.trim()
+        ? input.displayName.trim().slice(0, 100)
+        : input.staffId,
+      robloxUserId,
+      capacity: cleanCapacity(input.capacity),
+      active: input.active !== false
+    }
+  };
+}
+
+function cleanCapacity(value) {
+  const capacity = Number(value);
+  return Number.isInteger(capacity) && capacity > 0 ? Math.min(capacity, 10000) : DEFAULT_CAPACITY;
+}
+
+async function countOpenClaims(field, value) {
+  return getClaimRepository().countOpenBy(field, value, OPEN_STATUSES);
+}
+
+async function withLoad(entries, field, idField) {
+  return Promise.all(entries.map(async (entry) => ({
+    ...entry,
+    load: await countOpenClaims(field, entry[idField])
+  })));
+}
+
+async function listEntries(collectionName) {
+  const docs = await getDocumentStore().collection(collectionName).find({});
+  return docs.map(({ id, ...entry }) => entry);
+}
+
+// Least loaded relative to capacity. Entries that are full only get picked
+// when everything is full - registration never fails for lack of a slot.
+function pickLeastLoaded(entries, idField) {
+  const ranked = [...entries].sort((a, b) =>
+    (a.load >= a.capacity) - (b.load >= b.capacity) ||
+    a.load / a.capacity - b.load / b.capacity ||
+    a[idField].localeCompare(b[idField])
+  );
+  return ranked[0] || null;
+}
+
+export async function getRoster() {
+  const [servers, staff] = await Promise.all([listEntries(SERVERS_COLLECTION), listEntries(STAFF_COLLECTION)]);
+  return {
+    servers: await withLoad(servers, 'deliveryServerId', 'serverId'),
+    staff: await withLoad(staff, 'deliveryContactId', 'staffId')
+  };
+}
+
+// Limits roster entries to the ones a shop lists (lib/stores.js); a shop
+// that lists none shares the whole roster.
+function forStore(entries, allowedIds, idField) {
+  return allowedIds && allowedIds.length > 0
+    ? entries.filter(entry => allowedIds.includes(entry[idField]))
+    : entries;
+}
+
+// Picks the server and staff member for a new claim. A previously offered
+// pick (see the delivery team token in api/verify.js) is kept while it is
+// still active, so the customer is not sent somewhere else between steps.
+export async function pickDeliveryTeam(preferred = {}, store = null) {
+  let servers;
+  let staff;
+  try {
+    [servers, staff] = await Promise.all([listEntries(SERVERS_COLLECTION), listEntries(STAFF_COLLECTION)]);
+  } catch (error) {
+    // A registration is worth more than a balanced queue
+    console.error('Delivery roster unavailable, using the default team:', error.message);
+    return { server: toClaimServer(FALLBACK_SERVER), contact: toClaimContact(FALLBACK_STAFF) };
+  }
+
+  const activeServers = forStore(servers, store?.deliveryServerIds, 'serverId').filter(server => server.active);
+  const activeStaff = forStore(staff, store?.deliveryStaffIds, 'staffId').filter(member => member.active);
+
+  const server = activeServers.find(candidate => candidate.serverId === preferred.serverId) ||
+    pickLeastLoaded(await withLoad(activeServers, 'deliveryServerId', 'serverId'), 'serverId') ||
+    FALLBACK_SERVER;
+  const contact = activeStaff.find(candidate => candidate.staffId === preferred.staffId) ||
+    pickLeastLoaded(await withLoad(activeStaff, 'deliveryContactId', 'staffId'), 'staffId') ||
+    FALLBACK_STAFF;
+
+  return { server: toClaimServer(server), contact: toClaimContact(contact) };
+}
+
+// The staff member / server a delivery window names (lib/scheduling.js), in
+// the form claims record them, or null when the roster has no such entry
+export async function getRosterContact(staffId) {
+  const member = await getDocumentStore().collection(STAFF_COLLECTION).get(staffId) ||
+    (staffId === FALLBACK_STAFF.staffId ? FALLBACK_STAFF : null);
+  return member ? toClaimContact(member) : null;
+}
+
+export async function getRosterServer(serverId) {
+  const server = await getDocumentStore().collection(SERVERS_COLLECTION).get(serverId) ||
+    (serverId === FALLBACK_SERVER.serverId ? FALLBACK_SERVER : null);
+  return server ? toClaimServer(server) : null;
+}
+
+// Creates or replaces a roster entry. Returns { ok, entry } or
+// { ok: false, code: 'invalid', message }.
+async function saveEntry(collectionName, idField, cleaned, actor) {
+  if (cleaned.error) {
+    return { ok: false, code: 'invalid', message: cleaned.error };
+  }
+
+  const id = cleaned.entry[idField];
+  const now = new Date().toISOString();
+
+  return getDocumentStore().collection(collectionName).update(id, (existing) => {
+    const saved = { ...cleaned.entry, createdAt: existing?.createdAt || now, updatedAt: now, updatedBy: actor };
+    return { set: saved, result: { ok: true, created: !existing, entry: saved } };
+  });
+}
+
+async function deleteEntry(collectionName, id) {
+  return getDocumentStore().collection(collectionName).update(id, (existing) => (
+    existing
+      ? { delete: true, result: { ok: true } }
+      : { result: { ok: false, code: 'not_found', message: 'Roster entry not found' } }
+  ));
+}
+
+export async function saveDeliveryServer(input, actor) {
+  return saveEntry(SERVERS_COLLECTION, 'serverId', cleanServer(input), actor);
+}
+
+export async function deleteDeliveryServer(serverId) {
+  return deleteEntry(SERVERS_COLLECTION, serverId);
+}
+
+export async function saveDeliveryStaff(input, actor) {
+  return saveEntry(STAFF_COLLECTION, 'staffId', cleanStaff(input), actor);
+}
+
+export async function deleteDeliveryStaff(staffId) {
+  return deleteEntry(STAFF_COLLECTION, staffId);
+}
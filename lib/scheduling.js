@@ -0,0 +1,366 @@
+// lib/scheduling.js - Bookable delivery times from staff availability
+// Staff publish availability windows (`delivery_windows/{windowId}`): a time
+// range, the roster staff member working it (lib/roster.js), optionally a
+// server and a shop, cut into slots of `slotMinutes` that take at most
+// `capacityPerSlot` claims each. Customers pick a slot at registration and
+// staff can move or drop it later. A booked claim records it as
+// `deliverySlot` and is handed to the slot's staff member (and server);
+// claims without a slot are walk-ins, exactly as before.
+//
+// Places are counted in the slot ledger (lib/slot-ledger.js). Moving or
+// dropping a booking frees its place, and so does closing the claim
+// (lib/claims.js).
+import crypto from 'crypto';
+import { getDocumentStore, getClaimRepository } from './storage/index.js';
+import { bookedClaimIds, takeSlotPlace, releaseSlotPlace } from './slot-ledger.js';
+import { CLAIM_STATUSES } from './claims.js';
+import { CLAIM_EVENT_TYPES, recordClaimEvent } from './claim-events.js';
+import { notifyClaimEvent } from './notifications/index.js';
+import { getRosterContact, getRosterServer } from './roster.js';
+import { getDefaultStore } from './stores.js';
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_WINDOW_HOURS = 12;
+const MAX_WINDOW_DAYS_AHEAD = 60;
+const DEFAULT_SLOT_MINUTES = 30;
+const DEFAULT_CAPACITY_PER_SLOT = 5;
+// Slots starting sooner than this are not offered to customers any more
+const BOOKING_LEAD_MINUTES = 10;
+const BOOKING_HORIZON_DAYS = 14;
+const REMINDER_LEAD_MINUTES = 30;
+
+const OPEN_STATUSES = [CLAIM_STATUSES.PENDING, CLAIM_STATUSES.ASSIGNED, CLAIM_STATUSES.PARTIAL];
+
+function windows() {
+  return getDocumentStore().collection('delivery_windows');
+}
+
+function minutesFromNow(minutes) {
+  return new Date(Date.now() + minutes * 60000).toISOString();
+}
+
+// `<windowId>-<index>`; window IDs never contain a dash
+function buildSlots(window) {
+  const slots = [];
+  const length = window.slotMinutes * 60000;
+  const end = Date.parse(window.endsAt);
+  for (let start = Date.parse(window.startsAt), index = 0; start + length <= end; start += length, index++) {
+    slots.push({
+      slotId: `${window.windowId}-${index}`,
+      windowId: window.windowId,
+      startsAt: new Date(start).toISOString(),
+      endsAt: new Date(start + length).toISOString(),
+      capacity: window.capacityPerSlot
+    });
+  }
+  return slots;
+}
+
+async function findSlot(slotId) {
+  const windowId = typeof slotId === 'string' ? slotId.slice(0, slotId.lastIndexOf('-')) : '';
+  if (!windowId || !/^[0-9]+_[0-9a-f]{8}$/.test(windowId)) {
+    return null;
+  }
+  const window = await windows().get(windowId);
+  const slot = window ? buildSlots({ windowId, ...window }).find(candidate => candidate.slotId === slotId) : null;
+  return slot ? { window: { windowId, ...window }, slot } : null;
+}
+
+function parseTime(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+function cleanInteger(value, fallback, min, max) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+// Returns { window } ready to store, or { error } describing the first problem.
+function cleanWindow(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'window must be an object' };
+  }
+  if (!ID_PATTERN.test(input.staffId || '')) {
+    return { error: 'staffId must name a delivery staff member from the roster' };
+  }
+  if (input.serverId && !ID_PATTERN.test(input.serverId)) {
+    return { error: 'serverId must name a delivery server from the roster' };
+  }
+
+  const startsAt = parseTime(input.startsAt);
+  const endsAt = parseTime(input.endsAt);
+  if (startsAt === null || endsAt === null || endsAt <= startsAt) {
+    return { error: 'startsAt and endsAt must be ISO times, with endsAt after startsAt' };
+  }
+  if (endsAt <= Date.now()) {
+    return { error: 'The window is already over' };
+  }
+  if (startsAt > Date.now() + MAX_WINDOW_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return { error: `Windows can be published at most ${MAX_WINDOW_DAYS_AHEAD} days ahead` };
+  }
+  if (endsAt - startsAt > MAX_WINDOW_HOURS * 60 * 60 * 1000) {
+    return { error: `A window can be at most ${MAX_WINDOW_HOURS} hours long` };
+  }
+
+  const slotMinutes = cleanInteger(input.slotMinutes, DEFAULT_SLOT_MINUTES, 10, 120);
+  if (!slotMinutes || endsAt - startsAt < slotMinutes * 60000) {
+    return { error: 'slotMinutes must be 10 to 120 minutes, and fit in the window at least once' };
+  }
+  const capacityPerSlot = cleanInteger(input.capacityPerSlot, DEFAULT_CAPACITY_PER_SLOT, 1, 100);
+  if (!capacityPerSlot) {
+    return { error: 'capacityPerSlot must be a whole number from 1 to 100' };
+  }
+
+  return {
+    window: {
+      staffId: input.staffId,
+      serverId: input.serverId || null,
+      storeId: input.storeId || null,
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: new Date(endsAt).toISOString(),
+      slotMinutes,
+      capacityPerSlot
+    }
+  };
+}
+
+// AVAILABILITY WINDOWS
+// Staff publish their own windows (`staffId` defaults to their name); admins
+// can publish for anyone. Returns { ok, window } or { ok: false, code, message }.
+export async function publishAvailabilityWindow(input, actor, { admin = false } = {}) {
+  const { window, error } = cleanWindow(input && typeof input === 'object' ? { ...input, staffId: input.staffId || actor } : input);
+  if (error) {
+    return { ok: false, code: 'invalid', message: error };
+  }
+  if (window.staffId !== actor && !admin) {
+    return { ok: false, code: 'forbidden', message: 'Only admins can publish availability for someone else' };
+  }
+
+  const [contact, server] = await Promise.all([
+    getRosterContact(window.staffId),
+    window.serverId ? getRosterServer(window.serverId) : null
+  ]);
+  if (!contact) {
+    return { ok: false, code: 'invalid', message: `${window.staffId} is not on the delivery roster` };
+  }
+  if (window.serverId && !server) {
+    return { ok: false, code: 'invalid', message: `${window.serverId} is not a delivery server on the roster` };
+  }
+
+  // Time first so window IDs sort chronologically
+  const windowId = `${window.startsAt.replace(/[^0-9]/g, '')}_${crypto.randomUUID().slice(0, 8)}`;
+  const saved = { ...window, publishedBy: actor, createdAt: new Date().toISOString() };
+  await windows().set(windowId, saved);
+  return { ok: true, window: { windowId, ...saved } };
+}
+
+// Windows with booked places cannot be removed - move the bookings first.
+export async function deleteAvailabilityWindow(windowId, actor, { admin = false } = {}) {
+  const window = ID_PATTERN.test(windowId || '') ? await windows().get(windowId) : null;
+  if (!window) {
+    return { ok: false, code: 'not_found', message: 'Availability window not found' };
+  }
+  if (window.staffId !== actor && window.publishedBy !== actor && !admin) {
+    return { ok: false, code: 'forbidden', message: 'Only admins can remove someone else\'s availability' };
+  }
+
+  const booked = await bookedClaimIds(buildSlots({ windowId, ...window }).map(slot => slot.slotId));
+  const bookings = [...booked.values()].reduce((sum, claimIds) => sum + claimIds.length, 0);
+  if (bookings > 0) {
+    return { ok: false, code: 'has_bookings', message: `${bookings} claim(s) are booked into this window - reschedule them first` };
+  }
+
+  await windows().update(windowId, () => ({ delete: true }));
+  return { ok: true };
+}
+
+function forStore(window, storeId) {
+  return !window.storeId || !storeId || window.storeId === storeId;
+}
+
+// Upcoming windows with every slot and the claims booked into it (staff view)
+export async function listAvailabilityWindows({ storeId = null, staffId = null } = {}) {
+  const upcoming = await windows().find({
+    where: [['endsAt', '>', new Date().toISOString()]],
+    orderBy: ['endsAt', 'asc'],
+    limit: 200
+  });
+  const selected = upcoming
+    .map(({ id, ...window }) => ({ windowId: id, ...window }))
+    .filter(window => forStore(window, storeId) && (!staffId || window.staffId === staffId));
+
+  const slotsByWindow = selected.map(buildSlots);
+  const booked = await bookedClaimIds(slotsByWindow.flat().map(slot => slot.slotId));
+
+  return selected.map((window, index) => ({
+    ...window,
+    slots: slotsByWindow[index].map(slot => ({ ...slot, claimIds: booked.get(slot.slotId) }))
+  }));
+}
+
+// What the claim page offers: slots far enough ahead that still have room,
+// in windows open to the customer's shop
+export async function listBookableSlots(storeId) {
+  const earliest = minutesFromNow(BOOKING_LEAD_MINUTES);
+  const latest = minutesFromNow(BOOKING_HORIZON_DAYS * 24 * 60);
+  const upcoming = (await listAvailabilityWindows({ storeId }))
+    .filter(window => window.startsAt <= latest);
+
+  const contacts = new Map();
+  for (const window of upcoming) {
+    if (!contacts.has(window.staffId)) {
+      contacts.set(window.staffId, await getRosterContact(window.staffId));
+    }
+  }
+
+  return upcoming.flatMap(window => window.slots
+    .filter(slot => slot.startsAt >= earliest && slot.claimIds.length < slot.capacity)
+    .map(slot => ({
+      slotId: slot.slotId,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      remaining: slot.capacity - slot.claimIds.length,
+      deliveryContact: contacts.get(window.staffId)
+    })))
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+}
+
+// BOOKINGS
+async function announceSlotChange(claim, previousSlot, actor) {
+  await recordClaimEvent(claim.claimId, CLAIM_EVENT_TYPES.SLOT_CHANGED, actor, {
+    from: previousSlot?.startsAt || null,
+    to: claim.deliverySlot?.startsAt || null
+  });
+  if (claim.deliverySlot) {
+    notifyClaimEvent('slot_booked', claim, { actor, rescheduled: !!previousSlot });
+  }
+}
+
+// Books `slotId` for an open claim, moving it out of any slot it had.
+// Customers (`customer: true`) only get slots that are still bookable from
+// the claim page; staff can also book a slot that has already started.
+// Returns { ok, claim } or { ok: false, code, message } - codes: not_found,
+// claim_closed, slot_not_found, slot_unavailable, slot_full.
+export async function bookDeliverySlot(claimId, slotId, actor, { customer = false } = {}) {
+  const repo = getClaimRepository();
+  const claim = await repo.getById(claimId);
+  if (!claim) {
+    return { ok: false, code: 'not_found', message: 'Claim not found' };
+  }
+  if (!OPEN_STATUSES.includes(claim.status)) {
+    return { ok: false, code: 'claim_closed', message: `Claims that are ${claim.status} cannot be booked` };
+  }
+  if (claim.deliverySlot?.slotId === slotId) {
+    return { ok: true, claim };
+  }
+
+  const found = await findSlot(slotId);
+  if (!found || !forStore(found.window, claim.storeId || getDefaultStore().storeId)) {
+    return { ok: false, code: 'slot_not_found', message: 'Delivery slot not found' };
+  }
+  const { window, slot } = found;
+  const bookableFrom = customer ? minutesFromNow(BOOKING_LEAD_MINUTES) : new Date().toISOString();
+  if ((customer ? slot.startsAt : slot.endsAt) < bookableFrom) {
+    return { ok: false, code: 'slot_unavailable', message: 'This delivery slot can no longer be booked' };
+  }
+
+  if (!(await takeSlotPlace(slot, claimId))) {
+    return { ok: false, code: 'slot_full', message: 'This delivery slot is fully booked' };
+  }
+
+  const [contact, server] = await Promise.all([
+    getRosterContact(window.staffId),
+    window.serverId ? getRosterServer(window.serverId) : null
+  ]);
+  const deliverySlot = {
+    slotId,
+    windowId: window.windowId,
+    startsAt: slot.startsAt,
+    endsAt: slot.endsAt,
+    staffId: window.staffId,
+    bookedBy: actor,
+    bookedAt: new Date().toISOString(),
+    reminderSentAt: null
+  };
+
+  const result = await repo.modify(claimId, (current) => {
+    if (!OPEN_STATUSES.includes(current.status)) {
+      return { result: { ok: false, code: 'claim_closed', message: `Claims that are ${current.status} cannot be booked` } };
+    }
+    const changes = {
+      deliverySlot,
+      ...(contact ? { deliveryContact: contact, deliveryContactId: contact.staffId } : {}),
+      ...(server ? { deliveryServer: server, deliveryServerId: server.serverId } : {})
+    };
+    return { changes, result: { ok: true, claim: { ...current, ...changes }, previousSlot: current.deliverySlot || null } };
+  });
+
+  if (!result.ok) {
+    await releaseSlotPlace(slotId, claimId);
+    return result;
+  }
+  if (result.previousSlot && result.previousSlot.slotId !== slotId) {
+    await releaseSlotPlace(result.previousSlot.slotId, claimId);
+  }
+
+  await announceSlotChange(result.claim, result.previousSlot, actor);
+  return { ok: true, claim: result.claim };
+}
+
+// Makes a booked claim a walk-in again
+export async function clearDeliverySlot(claimId, actor) {
+  const result = await getClaimRepository().modify(claimId, (claim) => {
+    if (!claim.deliverySlot) {
+      return { result: { ok: true, claim, previousSlot: null } };
+    }
+    return {
+      changes: { deliverySlot: null },
+      result: { ok: true, claim: { ...claim, deliverySlot: null }, previousSlot: claim.deliverySlot }
+    };
+  });
+
+  if (result.ok && result.previousSlot) {
+    await releaseSlotPlace(result.previousSlot.slotId, claimId);
+    await announceSlotChange(result.claim, result.previousSlot, actor);
+  }
+  return result;
+}
+
+// REMINDERS
+// Cron job (see vercel.json): reminds customers and staff of bookings
+// starting within REMINDER_LEAD_MINUTES, once per booking.
+export async function sendSlotReminders() {
+  const now = new Date().toISOString();
+  const claims = await getClaimRepository().query({
+    where: [
+      ['deliverySlot.startsAt', '>=', now],
+      ['deliverySlot.startsAt', '<=', minutesFromNow(REMINDER_LEAD_MINUTES)]
+    ],
+    limit: 200
+  });
+
+  const due = claims.filter(claim => OPEN_STATUSES.includes(claim.status) && !claim.deliverySlot.reminderSentAt);
+  let reminded = 0;
+
+  for (const claim of due) {
+    // Marked first, atomically, so overlapping runs remind only once
+    const marked = await getClaimRepository().modify(claim.claimId, (current) => {
+      if (!current.deliverySlot || current.deliverySlot.slotId !== claim.deliverySlot.slotId || current.deliverySlot.reminderSentAt) {
+        return { result: null };
+      }
+      const deliverySlot = { ...current.deliverySlot, reminderSentAt: new Date().toISOString() };
+      return { changes: { deliverySlot }, result: { ...current, deliverySlot } };
+    });
+
+    if (marked?.deliverySlot) {
+      await notifyClaimEvent('slot_reminder', marked);
+      reminded++;
+    }
+  }
+
+  return { checked: claims.length, reminded };
+}
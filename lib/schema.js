@@ -0,0 +1,129 @@
+// lib/schema.js - Validation against the JSON Schemas of the versioned API
+// Covers the part of JSON Schema the schemas in lib/api-v1.js use: type
+// (including 'integer', 'null' and lists of types), properties, required,
+// additionalProperties, items, minItems/maxItems, enum, pattern,
+// minLength/maxLength, minimum/maximum, format ('email', 'date-time') and
+// oneOf, plus the `x-errorMessage` extension to word a failed pattern or
+// oneOf for people. Anything else in a schema (description, example, ...) is
+// ignored, so the same schemas go into the OpenAPI document unchanged - as an
+// `x-` extension the error wording keeps that document valid OpenAPI.
+
+const FORMATS = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'date-time': value => !Number.isNaN(Date.parse(value))
+};
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return typeOf(value) === type;
+}
+
+function joinPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+function check(schema, value, path, errors) {
+  // When nothing matches, the problems of the closest shape are the useful ones
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(option => check(option, value, path, []));
+    const matching = results.filter(result => result.length === 0).length;
+    const closest = results.reduce((best, result) => (result.length < best.length ? result : best));
+    if (matching === 0 && closest.length <= 2) {
+      errors.push(...closest);
+    } else if (matching !== 1) {
+      errors.push({ path: path || '(body)', message: schema['x-errorMessage'] || 'must match exactly one of the allowed shapes' });
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: path || '(body)', message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: schema['x-errorMessage'] || `must match ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must list at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must list at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, joinPath(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) {
+        continue;
+      }
+      if (properties[key]) {
+        check(properties[key], propertyValue, joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not an allowed field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, propertyValue, joinPath(path, key), errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Returns a list of { path, message }; empty when `value` is valid
+export function validateSchema(schema, value) {
+  return check(schema, value, '', []);
+}
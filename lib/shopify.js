@@ -0,0 +1,353 @@
+// lib/shopify.js - Shopify Admin API helpers shared by the API routes
+// Every call goes to one shop from the registry in lib/stores.js - the
+// default shop unless a `store` is passed.
+import { getDefaultStore } from './stores.js';
+
+const MAX_ATTEMPTS = 3;
+const BASE_RETRY_DELAY = 500;
+const MAX_THROTTLE_WAIT_SECONDS = 10;
+const DEFAULT_ORDER_NAME_FORMATS = '#{number},AG-{number},AF{number}';
+
+export function getShopifyConfig(store = getDefaultStore()) {
+  const shopDomain = store.shopDomain;
+  const accessToken = store.accessToken;
+  const apiVersion = store.apiVersion || process.env.SHOPIFY_API_VERSION || '2024-01';
+
+  if (!shopDomain || !accessToken) {
+    throw new Error(`Missing shop domain or access token for store ${store.storeId} (SHOPIFY_SHOP_DOMAIN / SHOPIFY_ACCESS_TOKEN)`);
+  }
+
+  // Smart domain handling - check if .myshopify.com is already included
+  const baseUrl = shopDomain.includes('.myshopify.com')
+    ? `https://${shopDomain}`
+    : `https://${shopDomain}.myshopify.com`;
+
+  return { baseUrl, accessToken, apiVersion };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Thrown once Shopify keeps throttling us after every retry; callers turn it
+// into a 503 with Retry-After rather than reporting "not found".
+function throttledError(message, retryAfterSeconds) {
+  const error = new Error(message);
+  error.code = 'SHOPIFY_THROTTLED';
+  error.retryAfterSeconds = Math.ceil(retryAfterSeconds || 5);
+  return error;
+}
+
+// Calls the Admin REST API and returns the parsed JSON body. 429 and 5xx
+// responses (and network errors) are retried with backoff, honouring
+// Retry-After; anything else that is not ok throws straight away.
+export async function shopifyRequest(path, { method = 'GET', body, store } = {}) {
+  const { baseUrl, accessToken, apiVersion } = getShopifyConfig(store);
+  const url = `${baseUrl}/admin/api/${apiVersion}${path}`;
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'X-Shopify-Access-Token': accessToken,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (networkError) {
+      lastError = networkError;
+      await sleep(BASE_RETRY_DELAY * attempt);
+      continue;
+    }
+
+    if (response.ok) {
+      return response.status === 204 ? null : response.json();
+    }
+
+    const errorText = await response.text().catch(() => '');
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    lastError = response.status === 429
+      ? throttledError(`Shopify ${method} ${path} was throttled`, retryAfter)
+      : new Error(`Shopify ${method} ${path} failed with ${response.status}: ${errorText.slice(0, 300)}`);
+    lastError.status = response.status;
+
+    if (response.status !== 429 && response.status < 500) {
+      throw lastError;
+    }
+
+    await sleep(Number.isFinite(retryAfter) ? retryAfter * 1000 : BASE_RETRY_DELAY * attempt);
+  }
+
+  throw lastError;
+}
+
+// Calls the Admin GraphQL API and returns `data`. Shopify throttles GraphQL
+// by query cost: either with a 429 + Retry-After, or with a 200 whose errors
+// carry code THROTTLED and the bucket state needed to work out the wait.
+export async function shopifyGraphql(queryText, variables = {}, { store } = {}) {
+  const { baseUrl, accessToken, apiVersion } = getShopifyConfig(store);
+  const url = `${baseUrl}/admin/api/${apiVersion}/graphql.json`;
+  let waitSeconds = 0;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ query: queryText, variables })
+    });
+
+    if (response.status === 429) {
+      waitSeconds = parseFloat(response.headers.get('retry-after')) || attempt;
+    } else if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      const error = new Error(`Shopify GraphQL request failed with ${response.status}: ${errorText.slice(0, 300)}`);
+      error.status = response.status;
+      throw error;
+    } else {
+      const body = await response.json();
+      const throttled = (body.errors || []).some(error => error.extensions?.code === 'THROTTLED');
+
+      if (!throttled) {
+        if (body.errors && body.errors.length > 0) {
+          throw new Error(`Shopify GraphQL error: ${body.errors.map(error => error.message).join('; ')}`);
+        }
+        return body.data;
+      }
+
+      const cost = body.extensions?.cost;
+      const needed = (cost?.requestedQueryCost || 0) - (cost?.throttleStatus?.currentlyAvailable || 0);
+      waitSeconds = cost?.throttleStatus?.restoreRate ? Math.max(needed, 1) / cost.throttleStatus.restoreRate : attempt;
+    }
+
+    if (attempt === MAX_ATTEMPTS || waitSeconds > MAX_THROTTLE_WAIT_SECONDS) {
+      break;
+    }
+    await sleep(waitSeconds * 1000);
+  }
+
+  throw throttledError('Shopify GraphQL API is throttling requests', waitSeconds);
+}
+
+// ORDER LOOKUP
+// SHOPIFY_ORDER_NAME_FORMATS (or the shop's `orderNameFormats`) lists how
+// order names look in the store, with {number} standing for the order
+// number, e.g. "#{number},AG-{number}".
+export function getOrderNameFormats(store = getDefaultStore()) {
+  return (store.orderNameFormats || process.env.SHOPIFY_ORDER_NAME_FORMATS || DEFAULT_ORDER_NAME_FORMATS)
+    .split(',')
+    .map(format => format.trim())
+    .filter(format => format.includes('{number}'));
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every order name the customer's input could refer to: the input itself, and
+// each configured format filled with the number extracted from the input.
+export function candidateOrderNames(input, formats = getOrderNameFormats()) {
+  const trimmed = input.trim();
+  let number = /^\d+$/.test(trimmed) ? trimmed : null;
+
+  for (const format of formats) {
+    if (number) {
+      break;
+    }
+    const [prefix, suffix] = format.split('{number}').map(escapeRegex);
+    const match = trimmed.match(new RegExp(`^${prefix}(\\d+)${suffix}$`, 'i'));
+    if (match) {
+      number = match[1];
+    }
+  }
+
+  const names = [trimmed];
+  if (number) {
+    names.push(...formats.map(format => format.replace('{number}', number)));
+  }
+  return [...new Set(names)];
+}
+
+function searchValue(value) {
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+function legacyId(gid) {
+  return gid ? gid.split('/').pop() : null;
+}
+
+const ORDER_FIELDS = `
+        legacyResourceId
+        name
+        email
+        createdAt
+        cancelledAt
+        displayFinancialStatus
+        displayFulfillmentStatus
+        totalPriceSet { shopMoney { amount currencyCode } }
+        totalRefundedSet { shopMoney { amount } }
+        customer { firstName lastName }
+        tags
+        riskLevel
+        lineItems(first: 100) {
+          nodes {
+            id
+            title
+            variantTitle
+            quantity
+            sku
+            product { id tags }
+            variant { id }
+          }
+        }
+`;
+
+const ORDER_LOOKUP_QUERY = `
+  query FindOrder($query: String!) {
+    orders(first: 5, query: $query) {
+      nodes {${ORDER_FIELDS}      }
+    }
+  }
+`;
+
+const ORDER_BY_ID_QUERY = `
+  query OrderById($id: ID!) {
+    order(id: $id) {${ORDER_FIELDS}    }
+  }
+`;
+
+// The rest of the system (eligibility checks, webhooks, line item handling)
+// works with REST-shaped orders, so GraphQL results are mapped onto that shape.
+function toRestOrder(node) {
+  const totalRefunded = parseFloat(node.totalRefundedSet?.shopMoney?.amount || 0);
+  const fulfillment = node.displayFulfillmentStatus;
+
+  return {
+    id: node.legacyResourceId,
+    name: node.name,
+    email: node.email,
+    created_at: node.createdAt,
+    cancelled_at: node.cancelledAt,
+    financial_status: (node.displayFinancialStatus || '').toLowerCase(),
+    fulfillment_status: fulfillment === 'FULFILLED' ? 'fulfilled' : (fulfillment === 'PARTIALLY_FULFILLED' ? 'partial' : null),
+    total_price: node.totalPriceSet?.shopMoney?.amount,
+    currency: node.totalPriceSet?.shopMoney?.currencyCode,
+    customer: node.customer ? { first_name: node.customer.firstName, last_name: node.customer.lastName } : null,
+    tags: (node.tags || []).join(', '),
+    // Shopify's fraud analysis: LOW, MEDIUM or HIGH
+    risk_level: node.riskLevel ? node.riskLevel.toLowerCase() : null,
+    refunds: totalRefunded > 0 ? [{ amount: totalRefunded }] : [],
+    line_items: (node.lineItems?.nodes || []).map(item => ({
+      id: legacyId(item.id),
+      product_id: legacyId(item.product?.id),
+      variant_id: legacyId(item.variant?.id),
+      product_tags: item.product?.tags || [],
+      sku: item.sku,
+      title: item.title,
+      variant_title: item.variantTitle,
+      quantity: item.quantity
+    }))
+  };
+}
+
+// One GraphQL query matching any candidate order name AND the email. Returns
+// { order } or null; name and email are re-checked exactly because Shopify's
+// search syntax matches loosely.
+export async function findShopifyOrder(orderNumber, email, store = getDefaultStore()) {
+  const names = candidateOrderNames(orderNumber, getOrderNameFormats(store));
+  const nameQuery = names.map(name => `name:${searchValue(name)}`).join(' OR ');
+  const data = await shopifyGraphql(ORDER_LOOKUP_QUERY, {
+    query: `(${nameQuery}) AND email:${searchValue(email)}`
+  }, { store });
+
+  const wantedNames = names.map(name => name.toLowerCase());
+  const match = (data.orders?.nodes || []).find(node =>
+    wantedNames.includes((node.name || '').toLowerCase()) &&
+    (node.email || '').toLowerCase() === email
+  );
+
+  return match ? { order: toRestOrder(match) } : null;
+}
+
+// For links that already prove which order they are for (lib/order-links.js).
+// Returns { order } or null.
+export async function findShopifyOrderById(orderId, store = getDefaultStore()) {
+  const data = await shopifyGraphql(ORDER_BY_ID_QUERY, {
+    id: `gid://shopify/Order/${orderId}`
+  }, { store });
+
+  return data.order ? { order: toRestOrder(data.order) } : null;
+}
+
+// FULFILLMENT WRITE-BACK
+// Fulfils the given line items (or everything still open when none are given)
+// through the fulfillment orders API. Returns { fulfillmentId } or
+// { alreadyFulfilled: true } when Shopify has nothing left to fulfil.
+export async function createOrderFulfillment(orderId, lineItems, { notifyCustomer = false, store } = {}) {
+  const data = await shopifyRequest(`/orders/${orderId}/fulfillment_orders.json`, { store });
+  const wanted = new Map(
+    (lineItems || [])
+      .filter(item => item.lineItemId)
+      .map(item => [item.lineItemId.toString(), item.quantity])
+  );
+
+  const lineItemsByFulfillmentOrder = (data.fulfillment_orders || [])
+    .filter(fulfillmentOrder => ['open', 'in_progress'].includes(fulfillmentOrder.status))
+    .map(fulfillmentOrder => ({
+      fulfillment_order_id: fulfillmentOrder.id,
+      fulfillment_order_line_items: fulfillmentOrder.line_items
+        .filter(item => item.fulfillable_quantity > 0)
+        .filter(item => wanted.size === 0 || wanted.has(item.line_item_id.toString()))
+        .map(item => ({
+          id: item.id,
+          quantity: wanted.size === 0
+            ? item.fulfillable_quantity
+            : Math.min(item.fulfillable_quantity, wanted.get(item.line_item_id.toString()))
+        }))
+    }))
+    .filter(group => group.fulfillment_order_line_items.length > 0);
+
+  if (lineItemsByFulfillmentOrder.length === 0) {
+    return { alreadyFulfilled: true, fulfillmentId: null };
+  }
+
+  const result = await shopifyRequest('/fulfillments.json', {
+    store,
+    method: 'POST',
+    body: {
+      fulfillment: {
+        line_items_by_fulfillment_order: lineItemsByFulfillmentOrder,
+        notify_customer: notifyCustomer
+      }
+    }
+  });
+
+  return { alreadyFulfilled: false, fulfillmentId: result.fulfillment?.id?.toString() || null };
+}
+
+// Appends a line to the order note, keeping whatever staff already wrote there.
+// Skipped when the line is already present so retries do not repeat it.
+export async function appendOrderNote(orderId, line, { store } = {}) {
+  const data = await shopifyRequest(`/orders/${orderId}.json?fields=id,note`, { store });
+  const currentNote = data.order?.note || '';
+
+  if (currentNote.includes(line)) {
+    return;
+  }
+
+  await shopifyRequest(`/orders/${orderId}.json`, {
+    store,
+    method: 'PUT',
+    body: {
+      order: {
+        id: orderId,
+        note: currentNote ? `${currentNote}\n${line}` : line
+      }
+    }
+  });
+}
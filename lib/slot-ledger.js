@@ -0,0 +1,35 @@
+// lib/slot-ledger.js - Places taken in each delivery slot (`delivery_slots/{slotId}`)
+// Each ledger entry lists the claims booked into a slot and is updated
+// atomically, so two customers cannot take the last place together. Kept
+// apart from lib/scheduling.js so lib/claims.js can free the place of a
+// claim it closes.
+import { getDocumentStore } from './storage/index.js';
+
+function slotLedger() {
+  return getDocumentStore().collection('delivery_slots');
+}
+
+export async function bookedClaimIds(slotIds) {
+  const ledgers = await Promise.all(slotIds.map(slotId => slotLedger().get(slotId)));
+  return new Map(slotIds.map((slotId, index) => [slotId, ledgers[index]?.claimIds || []]));
+}
+
+// Returns false when the slot is already full
+export async function takeSlotPlace(slot, claimId) {
+  return slotLedger().update(slot.slotId, (ledger) => {
+    const claimIds = ledger?.claimIds || [];
+    if (claimIds.includes(claimId)) {
+      return { result: true };
+    }
+    if (claimIds.length >= slot.capacity) {
+      return { result: false };
+    }
+    return { set: { slotId: slot.slotId, windowId: slot.windowId, claimIds: [...claimIds, claimId] }, result: true };
+  });
+}
+
+export async function releaseSlotPlace(slotId, claimId) {
+  await slotLedger().update(slotId, (ledger) => (
+    ledger ? { changes: { claimIds: (ledger.claimIds || []).filter(id => id !== claimId) } } : {}
+  ));
+}
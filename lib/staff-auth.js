@@ -0,0 +1,53 @@
+// lib/staff-auth.js - Bearer token authentication for delivery staff
+// STAFF_TOKENS is a comma separated list of `name:token[:role]` entries, e.g.
+// STAFF_TOKENS="meow82412:3b1f...,alice:9c2e...:admin"
+// The role defaults to `staff`; admins can also change configuration such as
+// the item catalog.
+import crypto from 'crypto';
+
+export const STAFF_ROLES = ['staff', 'admin'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+function loadStaffTokens() {
+  return (process.env.STAFF_TOKENS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const parts = entry.split(':');
+      const name = parts.shift().trim();
+      // Tokens may contain colons, so only a known role name counts as a role
+      const role = parts.length > 1 && STAFF_ROLES.includes(parts[parts.length - 1].trim())
+        ? parts.pop().trim()
+        : 'staff';
+      return {
+        name,
+        role,
+        tokenHash: hashToken(parts.join(':').trim())
+      };
+    })
+    .filter(staff => staff.name);
+}
+
+// Returns the staff member for the request's bearer token, or null.
+export function authenticateStaff(req) {
+  const header = req.headers['authorization'] || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const presented = hashToken(match[1].trim());
+  const staff = loadStaffTokens().find(candidate =>
+    crypto.timingSafeEqual(candidate.tokenHash, presented)
+  );
+
+  return staff ? { name: staff.name, role: staff.role } : null;
+}
+
+export function isAdmin(staff) {
+  return staff?.role === 'admin';
+}
@@ -0,0 +1,129 @@
+// lib/storage/claim-repository.js - Delivery claims (`delivery_requests`)
+// Everything that reads or writes claims goes through this repository, so it
+// works the same on every storage backend. Claims are returned with their
+// document ID as `claimId`.
+const CLAIMS_COLLECTION = 'delivery_requests';
+
+export function createClaimRepository(store) {
+  const claims = store.collection(CLAIMS_COLLECTION);
+  const withId = (doc) => {
+    if (!doc) {
+      return null;
+    }
+    const { id, ...data } = doc;
+    return { claimId: id, ...data };
+  };
+
+  return {
+    // Creates the claim unless the ID is taken. Returns { created, claim },
+    // where `claim` is the stored document - the existing one when not created.
+    async create(claimId, data) {
+      return claims.update(claimId, (existing) => {
+        if (existing) {
+          return { result: { created: false, claim: { claimId, ...existing } } };
+        }
+        const claim = { ...data, timestamp: store.serverTimestamp() };
+        return { set: claim, result: { created: true, claim: { claimId, ...data } } };
+      });
+    },
+
+    async getById(claimId) {
+      const claim = await claims.get(claimId);
+      return claim ? { claimId, ...claim } : null;
+    },
+
+    async findByRegistrationId(registrationId) {
+      const [claim] = await claims.find({ where: [['registrationId', '==', registrationId]], limit: 1 });
+      return withId(claim);
+    },
+
+    // Claims delivering to the account - as one of several recipients
+    // (`robloxUserIds`) or, for older claims, as their only account
+    async findByRobloxUserId(robloxUserId) {
+      const [recipientOf, ownedBy] = await Promise.all([
+        claims.find({ where: [['robloxUserIds', 'array-contains', robloxUserId]] }),
+        claims.find({ where: [['robloxUserId', '==', robloxUserId]] })
+      ]);
+      const byId = new Map([...ownedBy, ...recipientOf].map(doc => [doc.id, doc]));
+      return [...byId.values()].map(withId);
+    },
+
+    // Usernames are matched case-insensitively on claims that store the
+    // lowercased name, and exactly on older ones
+    async findByRobloxUsername(username) {
+      const [exact, lowered] = await Promise.all([
+        claims.find({ where: [['robloxUsername', '==', username]], limit: 50 }),
+        claims.find({ where: [['robloxUsernameLower', '==', username.toLowerCase()]], limit: 50 })
+      ]);
+      const byId = new Map([...exact, ...lowered].map(doc => [doc.id, doc]));
+      return [...byId.values()].map(withId);
+    },
+
+    // By Shopify order ID when known, otherwise by any of the given spellings
+    // of the order name.
+    async findByOrder({ orderId, orderNumbers }) {
+      const condition = orderId
+        ? ['orderId', '==', orderId.toString()]
+        : ['orderNumber', 'in', orderNumbers];
+      return (await claims.find({ where: [condition] })).map(withId);
+    },
+
+    // Oldest first. createdAt is an ISO string, so the range filters compare
+    // chronologically.
+    async listByStatus(status, { createdBefore, createdAfter, storeId, limit = 50 } = {}) {
+      const conditions = [['status', '==', status]];
+      if (storeId) {
+        conditions.push(['storeId', '==', storeId]);
+      }
+      if (createdBefore) {
+        conditions.push(['createdAt', '<=', createdBefore]);
+      }
+      if (createdAfter) {
+        conditions.push(['createdAt', '>=', createdAfter]);
+      }
+      return (await claims.find({ where: conditions, orderBy: ['createdAt', 'asc'], limit })).map(withId);
+    },
+
+    async countByStatus(status, { createdBefore, storeId } = {}) {
+      const conditions = [['status', '==', status]];
+      if (storeId) {
+        conditions.push(['storeId', '==', storeId]);
+      }
+      if (createdBefore) {
+        conditions.push(['createdAt', '<', createdBefore]);
+      }
+      return claims.count({ where: conditions });
+    },
+
+    // Open claims per delivery server or staff member, for load balancing
+    async countOpenBy(field, value, openStatuses) {
+      return claims.count({ where: [[field, '==', value], ['status', 'in', openStatuses]] });
+    },
+
+    // Atomic read-modify-write - this is what status transitions are built
+    // on. `decide(claim)` returns { changes, result } to write, or just
+    // { result } to leave the claim alone; it is not called for missing claims.
+    async modify(claimId, decide) {
+      return claims.update(claimId, (existing) => {
+        if (!existing) {
+          return { result: { ok: false, code: 'not_found', message: 'Claim not found' } };
+        }
+        return decide({ claimId, ...existing });
+      });
+    },
+
+    async update(claimId, changes) {
+      return claims.update(claimId, (existing) => (existing ? { changes, result: true } : { result: false }));
+    },
+
+    // Only for erasure requests (lib/privacy.js) - claims are otherwise kept
+    async remove(claimId) {
+      return claims.update(claimId, (existing) => (existing ? { delete: true, result: true } : { result: false }));
+    },
+
+    // Escape hatch for queries the methods above do not cover
+    async query(options) {
+      return (await claims.find(options)).map(withId);
+    }
+  };
+}
@@ -0,0 +1,135 @@
+// lib/storage/file.js - Document store kept in a local JSON file
+// For running the whole claim flow offline (`vercel dev` without a Firebase
+// project). Every operation re-reads the file and writes it back atomically,
+// and operations are serialised within the process. It is not meant for
+// concurrent production traffic.
+import fs from 'fs/promises';
+import path from 'path';
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  'in': (a, b) => b.includes(a),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+function readField(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function matches(data, conditions) {
+  return conditions.every(([field, op, value]) => {
+    const actual = readField(data, field);
+    return actual !== undefined && OPERATORS[op](actual, value);
+  });
+}
+
+export function createFileStore(filePath) {
+  let queue = Promise.resolve();
+
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { collections: {} };
+      }
+      throw error;
+    }
+  }
+
+  async function save(contents) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(contents, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  // Runs `operation` once every earlier operation has finished
+  function exclusive(operation) {
+    const run = queue.then(operation);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function findDocs(contents, name, { where: conditions = [], orderBy: ordering, limit: max } = {}) {
+    let docs = Object.entries(contents.collections[name] || {})
+      .map(([id, data]) => ({ id, ...data }))
+      .filter(data => matches(data, conditions));
+
+    if (ordering) {
+      const [field, direction = 'asc'] = ordering;
+      const sign = direction === 'desc' ? -1 : 1;
+      docs = docs.sort((a, b) => {
+        const left = readField(a, field);
+        const right = readField(b, field);
+        return left === right ? 0 : (left < right ? -sign : sign);
+      });
+    }
+
+    return max ? docs.slice(0, max) : docs;
+  }
+
+  return {
+    kind: 'file',
+
+    serverTimestamp() {
+      return new Date().toISOString();
+    },
+
+    collection(name) {
+      return {
+        get(id) {
+          return exclusive(async () => {
+            const contents = await load();
+            return contents.collections[name]?.[id] || null;
+          });
+        },
+
+        set(id, data) {
+          return exclusive(async () => {
+            const contents = await load();
+            contents.collections[name] = { ...(contents.collections[name] || {}), [id]: data };
+            await save(contents);
+          });
+        },
+
+        update(id, mutator) {
+          return exclusive(async () => {
+            const contents = await load();
+            const docs = contents.collections[name] || {};
+            const current = docs[id] || null;
+            const outcome = mutator(current ? JSON.parse(JSON.stringify(current)) : null) || {};
+
+            if (outcome.delete) {
+              delete docs[id];
+            } else if (outcome.set) {
+              docs[id] = outcome.set;
+            } else if (outcome.changes && current) {
+              docs[id] = { ...current, ...outcome.changes };
+            }
+
+            if (outcome.delete || outcome.set || (outcome.changes && current)) {
+              contents.collections[name] = docs;
+              await save(contents);
+            }
+
+            return outcome.result;
+          });
+        },
+
+        find(options) {
+          return exclusive(async () => findDocs(await load(), name, options));
+        },
+
+        count(options) {
+          return exclusive(async () => findDocs(await load(), name, { ...options, limit: undefined }).length);
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,74 @@
+// lib/storage/firestore.js - Document store backed by Cloud Firestore
+import {
+  collection, doc, getDoc, getDocs, getCountFromServer, setDoc,
+  query, where, orderBy, limit, runTransaction, serverTimestamp
+} from 'firebase/firestore';
+import { initFirebase } from '../firebase.js';
+
+function buildQuery(db, name, { where: conditions = [], orderBy: ordering, limit: max } = {}) {
+  const constraints = conditions.map(([field, op, value]) => where(field, op, value));
+  if (ordering) {
+    constraints.push(orderBy(ordering[0], ordering[1] || 'asc'));
+  }
+  if (max) {
+    constraints.push(limit(max));
+  }
+  return query(collection(db, name), ...constraints);
+}
+
+export function createFirestoreStore() {
+  return {
+    kind: 'firestore',
+
+    serverTimestamp() {
+      return serverTimestamp();
+    },
+
+    collection(name) {
+      const db = initFirebase();
+      const ref = (id) => doc(db, name, id);
+
+      return {
+        async get(id) {
+          const snapshot = await getDoc(ref(id));
+          return snapshot.exists() ? snapshot.data() : null;
+        },
+
+        async set(id, data) {
+          await setDoc(ref(id), data);
+        },
+
+        // Read-modify-write inside a transaction. The mutator gets the current
+        // document (or null) and returns { set } to write a whole document,
+        // { changes } to merge fields or { delete: true } to remove it, and
+        // `result` to hand back to the caller.
+        async update(id, mutator) {
+          return runTransaction(db, async (transaction) => {
+            const snapshot = await transaction.get(ref(id));
+            const outcome = mutator(snapshot.exists() ? snapshot.data() : null) || {};
+
+            if (outcome.delete) {
+              transaction.delete(ref(id));
+            } else if (outcome.set) {
+              transaction.set(ref(id), outcome.set);
+            } else if (outcome.changes && snapshot.exists()) {
+              transaction.update(ref(id), outcome.changes);
+            }
+
+            return outcome.result;
+          });
+        },
+
+        async find(options) {
+          const snapshot = await getDocs(buildQuery(db, name, options));
+          return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        },
+
+        async count(options) {
+          const snapshot = await getCountFromServer(buildQuery(db, name, options));
+          return snapshot.data().count;
+        }
+      };
+    }
+  };
+}
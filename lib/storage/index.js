@@ -0,0 +1,36 @@
+// lib/storage/index.js - Picks the storage backend from configuration
+// DELIVERY_STORAGE=firestore (default) uses the Firebase project from the
+// FIREBASE_* variables. DELIVERY_STORAGE=file keeps everything in a local
+// JSON file (DELIVERY_STORAGE_FILE, default .data/delivery-store.json).
+//
+// Both backends expose the same document store:
+//   collection(name).get(id) / set(id, data) / update(id, mutator)
+//     (the mutator returns { set }, { changes } or { delete: true })
+//   collection(name).find({ where, orderBy, limit }) / count({ where })
+//   serverTimestamp()
+import path from 'path';
+import { createFirestoreStore } from './firestore.js';
+import { createFileStore } from './file.js';
+import { createClaimRepository } from './claim-repository.js';
+
+let store = null;
+
+export function getDocumentStore() {
+  if (!store) {
+    const backend = process.env.DELIVERY_STORAGE || 'firestore';
+
+    if (backend === 'file') {
+      store = createFileStore(path.resolve(process.env.DELIVERY_STORAGE_FILE || '.data/delivery-store.json'));
+    } else if (backend === 'firestore') {
+      store = createFirestoreStore();
+    } else {
+      throw new Error(`Unknown DELIVERY_STORAGE backend: ${backend}`);
+    }
+  }
+
+  return store;
+}
+
+export function getClaimRepository() {
+  return createClaimRepository(getDocumentStore());
+}
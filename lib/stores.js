@@ -0,0 +1,128 @@
+// lib/stores.js - Registry of the Shopify shops this deployment serves
+// SHOPIFY_STORES holds a JSON array with one object per shop:
+//   { storeId, name, shopDomain, accessToken, apiVersion, webhookSecret,
+//     orderLinkSecret, hostnames: ['claim.example.com'], orderNameFormats: '#{number},AG-{number}',
+//     branding: { displayName, logoUrl, primaryColor, supportUrl },
+//     deliveryServerIds: [...], deliveryStaffIds: [...] }
+// Without it the deployment serves a single shop built from the original
+// SHOPIFY_* variables, under the storeId `default`. The first shop listed is
+// the default one: requests that name no shop, and claims saved before shops
+// were recorded, belong to it.
+export const DEFAULT_STORE_ID = 'default';
+
+const STORE_ID_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+let registry = null;
+
+function legacyStore() {
+  return {
+    storeId: DEFAULT_STORE_ID,
+    name: 'Affordable.Garden',
+    shopDomain: process.env.SHOPIFY_SHOP_DOMAIN || null,
+    accessToken: process.env.SHOPIFY_ACCESS_TOKEN || null,
+    apiVersion: process.env.SHOPIFY_API_VERSION || null,
+    webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET || null,
+    orderLinkSecret: process.env.ORDER_LINK_SECRET || null,
+    hostnames: [],
+    orderNameFormats: process.env.SHOPIFY_ORDER_NAME_FORMATS || null,
+    branding: {},
+    deliveryServerIds: [],
+    deliveryStaffIds: []
+  };
+}
+
+function toStore(entry, index) {
+  if (!entry || !STORE_ID_PATTERN.test(entry.storeId || '')) {
+    throw new Error(`SHOPIFY_STORES entry ${index} needs a storeId of lowercase letters, digits, _ and -`);
+  }
+  if (!entry.shopDomain || !entry.accessToken) {
+    throw new Error(`SHOPIFY_STORES entry ${entry.storeId} needs shopDomain and accessToken`);
+  }
+
+  return {
+    storeId: entry.storeId,
+    name: entry.name || entry.storeId,
+    shopDomain: entry.shopDomain,
+    accessToken: entry.accessToken,
+    apiVersion: entry.apiVersion || null,
+    webhookSecret: entry.webhookSecret || null,
+    orderLinkSecret: entry.orderLinkSecret || null,
+    hostnames: (entry.hostnames || []).map(hostname => hostname.toLowerCase()),
+    orderNameFormats: entry.orderNameFormats || null,
+    branding: entry.branding || {},
+    deliveryServerIds: entry.deliveryServerIds || [],
+    deliveryStaffIds: entry.deliveryStaffIds || []
+  };
+}
+
+function loadRegistry() {
+  if (!registry) {
+    const configured = process.env.SHOPIFY_STORES;
+    if (!configured) {
+      registry = [legacyStore()];
+    } else {
+      const entries = JSON.parse(configured);
+      if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('SHOPIFY_STORES must be a non-empty JSON array');
+      }
+      registry = entries.map(toStore);
+      if (new Set(registry.map(store => store.storeId)).size !== registry.length) {
+        throw new Error('SHOPIFY_STORES lists the same storeId twice');
+      }
+    }
+  }
+  return registry;
+}
+
+export function listStores() {
+  return loadRegistry();
+}
+
+export function getDefaultStore() {
+  return loadRegistry()[0];
+}
+
+// Claims without a storeId predate multi-store support and belong to the
+// default shop. Returns null for an unknown storeId.
+export function getStore(storeId) {
+  if (!storeId) {
+    return getDefaultStore();
+  }
+  return loadRegistry().find(store => store.storeId === storeId) || null;
+}
+
+export function findStoreByShopDomain(shopDomain) {
+  const wanted = (shopDomain || '').toLowerCase();
+  if (!wanted) {
+    return null;
+  }
+  return loadRegistry().find(store => {
+    const domain = (store.shopDomain || '').toLowerCase();
+    return domain === wanted || `${domain}.myshopify.com` === wanted;
+  }) || null;
+}
+
+// Which shop a customer request is for: an explicit `store` parameter, then
+// the hostname the page was served from, then the default shop. Returns
+// { store } or { error } for a `store` that does not exist.
+export function resolveStore(req) {
+  const requested = req.body?.store || req.query?.store;
+  if (requested) {
+    const store = getStore(String(requested));
+    return store ? { store } : { error: `Unknown store: ${requested}` };
+  }
+
+  const host = (req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim().split(':')[0].toLowerCase();
+  const byHost = host ? loadRegistry().find(store => store.hostnames.includes(host)) : null;
+
+  return { store: byHost || getDefaultStore() };
+}
+
+// What the claim page and staff tools may see - never credentials
+export function publicStoreInfo(store) {
+  return {
+    storeId: store.storeId,
+    name: store.name,
+    branding: store.branding
+  };
+}
@@ -0,0 +1,69 @@
+// lib/tokens.js - HMAC-signed claim tokens
+// Tokens are `<base64url payload>.<base64url signature>`. The payload is plain
+// JSON, so anything put in it is readable by the client - only its integrity
+// is protected.
+import crypto from 'crypto';
+
+const DEFAULT_TTL_SECONDS = 30 * 60;
+
+function getTokenSecret() {
+  const secret = process.env.CLAIM_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('Missing CLAIM_TOKEN_SECRET environment variable');
+  }
+  return secret;
+}
+
+function getTokenTtl() {
+  const ttl = parseInt(process.env.CLAIM_TOKEN_TTL_SECONDS, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getTokenSecret()).update(value).digest('base64url');
+}
+
+export function signToken(type, data, ttlSeconds = getTokenTtl()) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({
+    typ: type,
+    iat: now,
+    exp: now + ttlSeconds,
+    data
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns { valid: true, data } or { valid: false, reason } - never throws on
+// malformed input, since tokens come straight from the browser.
+export function verifyToken(token, expectedType) {
+  if (!token || typeof token !== 'string' || !token.includes('.')) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [payload, signature] = token.split('.');
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature || '');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (decoded.typ !== expectedType) {
+    return { valid: false, reason: 'wrong_type' };
+  }
+
+  if (!decoded.exp || decoded.exp < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, data: decoded.data, expiresAt: new Date(decoded.exp * 1000).toISOString() };
+}
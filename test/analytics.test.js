@@ -0,0 +1,56 @@
+// test/analytics.test.js - Funnel events sent by the claim page
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage, callHandler } from './support.js';
+
+useTestStorage('analytics');
+
+const { default: handler } = await import('../api/verify.js');
+const { createRequestLimiter, createMemoryStore } = await import('../lib/rate-limit.js');
+
+function trackEvents(events, ip = '198.51.100.1') {
+  return callHandler(handler, {
+    method: 'POST',
+    headers: { 'x-forwarded-for': ip },
+    query: {},
+    connection: {},
+    body: { action: 'track_events', sessionId: 'session-0001', events }
+  });
+}
+
+test('records known events and rejects unknown types', async () => {
+  const recorded = await trackEvents([{ type: 'step_completed', step: 1, durationMs: 1200 }]);
+  assert.equal(recorded.statusCode, 200);
+  assert.equal(recorded.body.recorded, 1);
+
+  const unknown = await trackEvents([{ type: 'claim_completed', step: 4 }]);
+  assert.equal(unknown.statusCode, 400);
+});
+
+test('rejects oversized batches', async () => {
+  const events = [{ type: 'verification_failed', step: 1, reason: 'invalid', padding: 'x'.repeat(5000) }];
+  const response = await trackEvents(events, '198.51.100.2');
+
+  assert.equal(response.statusCode, 400);
+});
+
+test('rate limits senders of many batches', async () => {
+  const event = { type: 'step_completed', step: 2, durationMs: 10 };
+  for (let sent = 0; sent < 60; sent++) {
+    assert.equal((await trackEvents([event], '198.51.100.3')).statusCode, 200);
+  }
+
+  const limited = await trackEvents([event], '198.51.100.3');
+  assert.equal(limited.statusCode, 429);
+  assert.ok(limited.headers['retry-after']);
+});
+
+test('the batch limit lifts when its window ends, with no lockout', async () => {
+  const limiter = createRequestLimiter({ name: 'test_batches', store: createMemoryStore(), maxRequests: 2, windowMs: 50 });
+  assert.ok((await limiter.take('198.51.100.4')).allowed);
+  assert.ok((await limiter.take('198.51.100.4')).allowed);
+  assert.equal((await limiter.take('198.51.100.4')).allowed, false);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.ok((await limiter.take('198.51.100.4')).allowed);
+});
@@ -0,0 +1,31 @@
+// test/api-v1.test.js - Route schemas and the published OpenAPI document
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { ROUTES, buildOpenApiDocument } = await import('../lib/api-v1.js');
+const { validateSchema } = await import('../lib/schema.js');
+
+// Every keyword used anywhere in the document, however deeply nested
+function keywords(value, found = new Set()) {
+  if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      found.add(key);
+      keywords(child, found);
+    }
+  }
+  return found;
+}
+
+test('the OpenAPI document carries validation wording only as an extension', () => {
+  const document = JSON.parse(JSON.stringify(buildOpenApiDocument()));
+  const used = keywords(document.paths);
+
+  assert.equal(used.has('errorMessage'), false);
+  assert.ok(used.has('x-errorMessage'));
+});
+
+test('the extension still words failed validations', () => {
+  const errors = validateSchema(ROUTES.verifyRobloxUser.requestBody, { username: 'no spaces allowed' });
+
+  assert.deepEqual(errors, [{ path: 'username', message: 'must be 3-20 letters, numbers and underscores' }]);
+});
@@ -0,0 +1,65 @@
+// test/claim-sessions.test.js - Saved progress through the claim page
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage, runtimeRequest, callHandler } from './support.js';
+
+useTestStorage('claim-sessions');
+process.env.CLAIM_TOKEN_SECRET = 'test-secret';
+
+const { default: handler } = await import('../api/verify.js');
+const { getDocumentStore } = await import('../lib/storage/index.js');
+const { signToken } = await import('../lib/tokens.js');
+
+function action(body, ip = '198.51.100.10') {
+  return runtimeRequest({
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+    body: JSON.stringify(body)
+  });
+}
+
+function orderToken(orderId) {
+  return signToken('order', { orderId, orderNumber: `#${orderId}`, email: 'buyer@example.com' });
+}
+
+function progress(orderId) {
+  return {
+    step: 2,
+    orderData: { orderId, orderNumber: `#${orderId}`, email: 'buyer@example.com', claimToken: orderToken(orderId) },
+    idempotencyKey: `key-${orderId}-0001`
+  };
+}
+
+test('saved progress keeps neither the email nor the order token', async () => {
+  const saved = await callHandler(handler, await action({ action: 'save_progress', progress: progress('9001') }));
+
+  assert.equal(saved.statusCode, 200);
+  const stored = JSON.stringify(await getDocumentStore().collection('claim_sessions').find({}));
+  assert.equal(stored.includes('buyer@example.com'), false);
+  assert.equal(stored.includes('claimToken'), false);
+  assert.ok(stored.includes('key-9001-0001'));
+});
+
+test('resuming accepts the order token the page kept, for the same order only', async () => {
+  const saved = await callHandler(handler, await action({ action: 'save_progress', progress: progress('9002') }, '198.51.100.11'));
+  const { resumeToken } = saved.body;
+
+  const same = await callHandler(handler, await action({ action: 'resume_claim', resumeToken, orderToken: orderToken('9002') }));
+  const other = await callHandler(handler, await action({ action: 'resume_claim', resumeToken, orderToken: orderToken('9003') }));
+  const none = await callHandler(handler, await action({ action: 'resume_claim', resumeToken }));
+
+  assert.equal(same.body.orderTokenValid, true);
+  assert.equal(same.body.progress.orderData.orderNumber, '#9002');
+  assert.equal(other.body.orderTokenValid, false);
+  assert.equal(none.body.orderTokenValid, false);
+});
+
+test('saves are limited per IP', async () => {
+  const ip = '198.51.100.12';
+  for (let sent = 0; sent < 30; sent++) {
+    assert.equal((await callHandler(handler, await action({ action: 'save_progress', progress: { step: 1 } }, ip))).statusCode, 200);
+  }
+
+  const limited = await callHandler(handler, await action({ action: 'save_progress', progress: { step: 1 } }, ip));
+  assert.equal(limited.statusCode, 429);
+  assert.ok(limited.headers['retry-after']);
+});
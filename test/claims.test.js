@@ -0,0 +1,92 @@
+// test/claims.test.js - The delivery queue
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage } from './support.js';
+
+useTestStorage('claims');
+process.env.SHOPIFY_STORES = JSON.stringify([
+  { storeId: 'garden', name: 'Affordable.Garden', shopDomain: 'garden.myshopify.com', accessToken: 'token' },
+  { storeId: 'pets', name: 'Pet Palace', shopDomain: 'pets.myshopify.com', accessToken: 'token' }
+]);
+
+const { getClaimRepository } = await import('../lib/storage/index.js');
+const { CLAIM_STATUSES, canTransition, transitionClaim, getQueuePosition } = await import('../lib/claims.js');
+
+async function createPendingClaim(claimId, storeId, minutesAgo) {
+  await getClaimRepository().create(claimId, {
+    storeId,
+    orderId: claimId,
+    status: CLAIM_STATUSES.PENDING,
+    createdAt: new Date(Date.now() - minutesAgo * 60000).toISOString()
+  });
+  return getClaimRepository().getById(claimId);
+}
+
+test('queue position only counts claims of the same shop', async () => {
+  await createPendingClaim('garden-1', 'garden', 30);
+  await createPendingClaim('pets-1', 'pets', 20);
+  await createPendingClaim('pets-2', 'pets', 15);
+  const claim = await createPendingClaim('garden-2', 'garden', 10);
+
+  assert.equal(await getQueuePosition(claim), 2);
+});
+
+test('claims saved before shops were recorded queue with the default shop', async () => {
+  await createPendingClaim('legacy-1', undefined, 3000);
+  await createPendingClaim('pets-old', 'pets', 2900);
+  const gardenClaim = await createPendingClaim('garden-old', 'garden', 2800);
+  const legacyClaim = await createPendingClaim('legacy-2', undefined, 2700);
+  const petsClaim = await createPendingClaim('pets-later', 'pets', 2600);
+
+  assert.equal(await getQueuePosition(gardenClaim), 2);
+  assert.equal(await getQueuePosition(legacyClaim), 3);
+  assert.equal(await getQueuePosition(petsClaim), 2);
+});
+
+test('staff can only make the moves in the transition table', () => {
+  assert.ok(canTransition('pending_delivery', 'assigned'));
+  assert.ok(canTransition('assigned', 'completed'));
+  assert.ok(canTransition('failed', 'pending_delivery'));
+  assert.equal(canTransition('pending_delivery', 'completed'), false);
+  assert.equal(canTransition('completed', 'pending_delivery'), false);
+  assert.equal(canTransition('refunded', 'pending_delivery', { admin: true }), false);
+  assert.equal(canTransition('cancelled', 'pending_delivery'), false);
+  assert.ok(canTransition('cancelled', 'pending_delivery', { admin: true }));
+});
+
+test('a claim moves through the queue and refuses moves out of a closed status', async () => {
+  await createPendingClaim('flow-1', 'garden', 5);
+
+  const assigned = await transitionClaim('flow-1', CLAIM_STATUSES.ASSIGNED, 'staff-a');
+  assert.ok(assigned.ok);
+  assert.equal(assigned.claim.deliveryStaffAssigned, 'staff-a');
+
+  const completed = await transitionClaim('flow-1', CLAIM_STATUSES.COMPLETED, 'staff-a');
+  assert.ok(completed.ok);
+  assert.ok(completed.claim.completedAt);
+
+  const reopened = await transitionClaim('flow-1', CLAIM_STATUSES.PENDING, 'staff-a', { admin: true });
+  assert.equal(reopened.ok, false);
+  assert.equal(reopened.code, 'invalid_transition');
+  assert.equal((await getClaimRepository().getById('flow-1')).status, CLAIM_STATUSES.COMPLETED);
+});
+
+test('releasing a claim with items already handed over leaves it partially delivered', async () => {
+  await getClaimRepository().create('flow-2', {
+    storeId: 'garden',
+    orderId: 'flow-2',
+    status: CLAIM_STATUSES.ASSIGNED,
+    allocations: [{ lineItemId: 'a', title: 'Dragonfly', robloxUserId: '1', quantity: 2, deliveredQuantity: 1 }],
+    createdAt: new Date().toISOString()
+  });
+
+  const released = await transitionClaim('flow-2', CLAIM_STATUSES.PENDING, 'staff-a');
+
+  assert.ok(released.ok);
+  assert.equal(released.claim.status, CLAIM_STATUSES.PARTIAL);
+});
+
+test('a missing claim cannot be moved', async () => {
+  const result = await transitionClaim('flow-missing', CLAIM_STATUSES.ASSIGNED, 'staff-a');
+  assert.equal(result.code, 'not_found');
+});
@@ -0,0 +1,25 @@
+// test/cors.test.js - Staff and admin endpoints only answer allowed origins
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage, callHandler } from './support.js';
+
+useTestStorage('cors');
+process.env.CORS_ALLOWED_ORIGINS = 'https://claims.example.com';
+
+const STAFF_ENDPOINTS = ['staff', 'catalog', 'eligibility', 'metrics', 'privacy', 'roster', 'schedule'];
+
+function preflight(origin) {
+  return { method: 'OPTIONS', headers: { origin }, query: {} };
+}
+
+for (const endpoint of STAFF_ENDPOINTS) {
+  test(`api/${endpoint} only allows configured origins`, async () => {
+    const { default: handler } = await import(`../api/${endpoint}.js`);
+
+    const allowed = await callHandler(handler, preflight('https://claims.example.com'));
+    assert.equal(allowed.headers['access-control-allow-origin'], 'https://claims.example.com');
+
+    const other = await callHandler(handler, preflight('https://attacker.example'));
+    assert.equal(other.headers['access-control-allow-origin'], undefined);
+  });
+}
@@ -0,0 +1,89 @@
+// test/fulfillment.test.js - Writing completed deliveries back to Shopify
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage } from './support.js';
+
+useTestStorage('fulfillment');
+process.env.SHOPIFY_STORES = JSON.stringify([
+  { storeId: 'garden', name: 'Affordable.Garden', shopDomain: 'garden.myshopify.com', accessToken: 'token' }
+]);
+
+const { getClaimRepository } = await import('../lib/storage/index.js');
+const { syncClaimFulfillment, retryPendingFulfillments } = await import('../lib/fulfillment.js');
+
+// Answers the Admin REST calls the write-back makes; `failNote` makes the
+// order note update fail the way Shopify rejects a bad request
+function fakeShopify(t, { failNote = false } = {}) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, { method = 'GET' } = {}) => {
+    calls.push(`${method} ${new URL(url).pathname}`);
+    if (url.includes('/fulfillment_orders.json')) {
+      return Response.json({
+        fulfillment_orders: [{ id: 1, status: 'open', line_items: [{ id: 11, line_item_id: 101, fulfillable_quantity: 1 }] }]
+      });
+    }
+    if (url.includes('/fulfillments.json')) {
+      return Response.json({ fulfillment: { id: 900 } });
+    }
+    if (method === 'PUT' && failNote) {
+      return new Response('note rejected', { status: 422 });
+    }
+    return Response.json({ order: { id: 7001, note: '' } });
+  });
+  return calls;
+}
+
+async function createCompletedClaim(claimId, shopifySync = null) {
+  await getClaimRepository().create(claimId, {
+    storeId: 'garden',
+    orderId: '7001',
+    registrationId: `AG_${claimId}`,
+    robloxUsername: 'Player1',
+    status: 'completed',
+    lineItems: [{ lineItemId: '101', quantity: 1 }],
+    shopifySync,
+    createdAt: new Date().toISOString()
+  });
+  return getClaimRepository().getById(claimId);
+}
+
+test('a retry after a failed order note does not fulfil the order twice', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const claim = await createCompletedClaim('claim-7001');
+
+  let calls = fakeShopify(t, { failNote: true });
+  const failed = await syncClaimFulfillment(claim.claimId, claim);
+  assert.equal(failed.status, 'retrying');
+  assert.equal(failed.fulfilled, true);
+  assert.ok(failed.nextAttemptAt);
+  assert.equal(calls.filter(call => call.startsWith('POST')).length, 1);
+
+  t.mock.restoreAll();
+  calls = fakeShopify(t);
+  const retried = await syncClaimFulfillment(claim.claimId, await getClaimRepository().getById(claim.claimId));
+  assert.equal(retried.status, 'synced');
+  assert.equal(retried.attempts, 2);
+  assert.equal(retried.fulfillmentId, '900');
+  assert.equal(calls.filter(call => call.startsWith('POST')).length, 0);
+});
+
+test('claims backing off do not hide the ones that are due', async (t) => {
+  fakeShopify(t);
+  const later = new Date(Date.now() + 60 * 60000).toISOString();
+  for (let index = 0; index < 4; index++) {
+    await createCompletedClaim(`claim-waiting-${index}`, { status: 'retrying', attempts: 3, nextAttemptAt: later });
+  }
+  await createCompletedClaim('claim-due', {
+    status: 'retrying',
+    attempts: 1,
+    fulfilled: true,
+    fulfillmentId: '900',
+    nextAttemptAt: new Date(Date.now() - 60000).toISOString()
+  });
+
+  const result = await retryPendingFulfillments({ max: 2 });
+
+  assert.deepEqual(result.results, [{ claimId: 'claim-due', status: 'synced' }]);
+  const waiting = await getClaimRepository().getById('claim-waiting-0');
+  assert.equal(waiting.shopifySync.attempts, 3);
+});
@@ -0,0 +1,69 @@
+// test/game.test.js - Signed game server requests through the runtime's request wrapper
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { useTestStorage, runtimeRequest, callHandler } from './support.js';
+
+useTestStorage('game');
+process.env.GAME_SERVER_SECRET = 'game-secret';
+
+const { default: handler } = await import('../api/game.js');
+const { getClaimRepository, getDocumentStore } = await import('../lib/storage/index.js');
+const { applyRetentionPolicy } = await import('../lib/privacy.js');
+
+function gameRequest(payload, { secret = 'game-secret' } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomBytes(12).toString('hex');
+  return runtimeRequest({
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Game-Timestamp': timestamp,
+      'X-Game-Nonce': nonce,
+      'X-Game-Signature': crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${body}`).digest('hex')
+    },
+    body
+  });
+}
+
+test('accepts a signed request and lists what the player is owed', async () => {
+  await getClaimRepository().create('claim-2001', {
+    storeId: 'default',
+    orderId: '2001',
+    orderNumber: '#2001',
+    robloxUserId: '42',
+    robloxUsername: 'Player1',
+    status: 'pending_delivery',
+    lineItems: [{ lineItemId: '1', title: 'Dragonfly', quantity: 2 }],
+    createdAt: new Date().toISOString()
+  });
+
+  const response = await callHandler(handler, await gameRequest({ action: 'pending_deliveries', robloxUserId: 42 }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.count, 1);
+  assert.equal(response.body.claims[0].claimId, 'claim-2001');
+});
+
+test('rejects a request signed with another secret', async () => {
+  const response = await callHandler(handler, await gameRequest({ action: 'pending_deliveries', robloxUserId: 42 }, { secret: 'wrong' }));
+
+  assert.equal(response.statusCode, 401);
+});
+
+test('used nonces are deleted by the retention job once expired', async () => {
+  const nonces = () => getDocumentStore().collection('game_request_nonces').find({});
+  await callHandler(handler, await gameRequest({ action: 'pending_deliveries', robloxUserId: 42 }));
+  const stored = await nonces();
+  assert.ok(stored.length > 0);
+
+  for (const entry of stored) {
+    await getDocumentStore().collection('game_request_nonces').update(entry.id, () => ({
+      changes: { expiresAt: new Date(Date.now() - 60000).toISOString() }
+    }));
+  }
+  const result = await applyRetentionPolicy();
+
+  assert.equal(result.expiredNonces, stored.length);
+  assert.deepEqual(await nonces(), []);
+});
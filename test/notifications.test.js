@@ -0,0 +1,86 @@
+// test/notifications.test.js - Messages sent about a claim
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage } from './support.js';
+
+useTestStorage('notifications');
+process.env.NOTIFY_TRANSPORT = 'log';
+process.env.SHOPIFY_STORES = JSON.stringify([
+  { storeId: 'garden', name: 'Affordable.Garden', shopDomain: 'garden.myshopify.com', accessToken: 'token' },
+  { storeId: 'pets', name: 'pets', shopDomain: 'pets.myshopify.com', accessToken: 'token', branding: { displayName: 'Pet Palace' } }
+]);
+
+const { getDocumentStore } = await import('../lib/storage/index.js');
+const { notifyClaimEvent, processNotificationOutbox } = await import('../lib/notifications/index.js');
+
+test('customer emails are signed with the claim\'s shop', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await notifyClaimEvent('registered', {
+    claimId: 'claim-5001',
+    registrationId: 'AG_5001',
+    storeId: 'pets',
+    orderNumber: '#5001',
+    email: 'buyer@example.com',
+    robloxUsername: 'Player1'
+  });
+
+  const [email] = await getDocumentStore().collection('notification_outbox').find({
+    where: [['channel', '==', 'email']]
+  });
+  assert.match(email.message.text, /Pet Palace$/);
+  assert.doesNotMatch(email.message.text, /Affordable\.Garden/);
+});
+
+function outboxEntries() {
+  return getDocumentStore().collection('notification_outbox');
+}
+
+// Sends through the capture transport, answering with `status`
+function captureWith(t, status) {
+  process.env.NOTIFY_TRANSPORT = 'capture';
+  t.after(() => { process.env.NOTIFY_TRANSPORT = 'log'; });
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(globalThis, 'fetch', async () => new Response('', { status }));
+}
+
+test('a failed notification is retried by the cron job once due', async (t) => {
+  captureWith(t, 500);
+  await notifyClaimEvent('assigned', {
+    claimId: 'claim-5002',
+    registrationId: 'AG_5002',
+    storeId: 'garden',
+    orderNumber: '#5002',
+    robloxUsername: 'Player1'
+  });
+
+  const [queued] = await outboxEntries().find({ where: [['registrationId', '==', 'AG_5002']] });
+  assert.equal(queued.status, 'pending');
+  assert.equal(queued.attempts, 1);
+  assert.ok(queued.nextAttemptAt > new Date().toISOString());
+
+  await outboxEntries().update(queued.id, () => ({ changes: { nextAttemptAt: new Date(Date.now() - 1000).toISOString() } }));
+  t.mock.method(globalThis, 'fetch', async () => new Response('', { status: 200 }));
+  const result = await processNotificationOutbox();
+
+  assert.deepEqual(result.results, [{ notificationId: queued.id, status: 'sent' }]);
+  assert.equal((await outboxEntries().get(queued.id)).attempts, 2);
+});
+
+test('notifications backing off do not hold up the ones that are due', async (t) => {
+  captureWith(t, 200);
+  const later = new Date(Date.now() + 60 * 60000).toISOString();
+  for (let index = 0; index < 4; index++) {
+    await outboxEntries().set(`waiting_${index}`, {
+      event: 'assigned', channel: 'staff', message: { text: 'later' }, status: 'pending', attempts: 3, nextAttemptAt: later
+    });
+  }
+  await outboxEntries().set('due_now', {
+    event: 'assigned', channel: 'staff', message: { text: 'now' }, status: 'pending', attempts: 1,
+    nextAttemptAt: new Date(Date.now() - 60000).toISOString()
+  });
+
+  const result = await processNotificationOutbox({ max: 2 });
+
+  assert.deepEqual(result.results, [{ notificationId: 'due_now', status: 'sent' }]);
+  assert.equal((await outboxEntries().get('waiting_0')).status, 'pending');
+});
@@ -0,0 +1,31 @@
+// test/order-links.test.js - Signed claim links
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signOrderLink, verifyOrderLink, MAX_LINK_TTL_DAYS } from '../lib/order-links.js';
+
+const store = { storeId: 'default', orderLinkSecret: 'link-secret' };
+const ORDER_ID = '5550001';
+
+function secondsFromNow(seconds) {
+  return String(Math.floor(Date.now() / 1000) + seconds);
+}
+
+test('accepts a link until it expires', () => {
+  const expiresAt = secondsFromNow(60 * 60);
+  assert.equal(verifyOrderLink(ORDER_ID, expiresAt, signOrderLink(ORDER_ID, expiresAt, store), store), true);
+});
+
+test('rejects an expired link', () => {
+  const expiresAt = secondsFromNow(-60);
+  assert.equal(verifyOrderLink(ORDER_ID, expiresAt, signOrderLink(ORDER_ID, expiresAt, store), store), false);
+});
+
+test('rejects a link valid for longer than the maximum lifetime', () => {
+  const expiresAt = secondsFromNow((MAX_LINK_TTL_DAYS + 1) * 24 * 60 * 60);
+  assert.equal(verifyOrderLink(ORDER_ID, expiresAt, signOrderLink(ORDER_ID, expiresAt, store), store), false);
+});
+
+test('rejects a link whose expiry was pushed back', () => {
+  const signature = signOrderLink(ORDER_ID, secondsFromNow(-60), store);
+  assert.equal(verifyOrderLink(ORDER_ID, secondsFromNow(60 * 60), signature, store), false);
+});
@@ -0,0 +1,88 @@
+// test/outbox.test.js - Retrying registrations that did not finish in time
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage } from './support.js';
+
+useTestStorage('outbox');
+process.env.CLAIM_TOKEN_SECRET = 'test-secret';
+
+const { getClaimRepository, getDocumentStore } = await import('../lib/storage/index.js');
+const { queueRegistration, getOutboxEntry, processRegistrationOutbox } = await import('../lib/outbox.js');
+const { saveRegistration } = await import('../lib/registrations.js');
+const { registerDelivery } = await import('../lib/claim-registration.js');
+const { signToken } = await import('../lib/tokens.js');
+
+function claimData(orderId, registrationId) {
+  return {
+    registrationId,
+    order: { orderId, orderNumber: `#${orderId}`, email: 'buyer@example.com', total: '10.00' },
+    roblox: { userId: '1', username: 'Player1' }
+  };
+}
+
+function minutesFromNow(minutes) {
+  return new Date(Date.now() + minutes * 60000).toISOString();
+}
+
+// Moves an entry's retry time, as if it had been queued that long ago
+function dueAt(registrationId, nextAttemptAt) {
+  return getDocumentStore().collection('registration_outbox').update(registrationId, () => ({ changes: { nextAttemptAt } }));
+}
+
+test('a due entry is replayed under the ID the customer was given', async () => {
+  await queueRegistration(claimData('8001', 'AG_8001'), { error: new Error('write failed') });
+  await dueAt('AG_8001', minutesFromNow(-1));
+
+  const result = await processRegistrationOutbox();
+
+  assert.deepEqual(result.results, [{ registrationId: 'AG_8001', outcome: 'created' }]);
+  const [claim] = await getClaimRepository().findByOrder({ orderId: '8001' });
+  assert.equal(claim.registrationId, 'AG_8001');
+  assert.equal((await getOutboxEntry('AG_8001')).status, 'done');
+});
+
+test('replaying a registration that was saved after all does not write a second claim', async () => {
+  await saveRegistration(claimData('8002', 'AG_8002'));
+  await queueRegistration(claimData('8002', 'AG_8002'), { inFlight: true });
+  await getDocumentStore().collection('registration_outbox').update('AG_8002', () => ({
+    changes: { updatedAt: minutesFromNow(-10) }
+  }));
+
+  const result = await processRegistrationOutbox();
+
+  assert.deepEqual(result.results, [{ registrationId: 'AG_8002', outcome: 'existing' }]);
+  assert.equal((await getClaimRepository().findByOrder({ orderId: '8002' })).length, 1);
+});
+
+test('entries backing off do not hide the ones that are due', async () => {
+  for (let index = 0; index < 4; index++) {
+    await queueRegistration(claimData(`810${index}`, `AG_810${index}`), { error: new Error('write failed') });
+  }
+  await queueRegistration(claimData('8110', 'AG_8110'), { error: new Error('write failed') });
+  await dueAt('AG_8110', minutesFromNow(-1));
+
+  const result = await processRegistrationOutbox({ max: 2 });
+
+  assert.deepEqual(result.results, [{ registrationId: 'AG_8110', outcome: 'created' }]);
+  assert.equal((await getOutboxEntry('AG_8100')).status, 'pending');
+});
+
+test('a registration that saves in time leaves no timer running', async () => {
+  const timers = () => process.getActiveResourcesInfo().filter(resource => resource === 'Timeout').length;
+  const before = timers();
+
+  const result = await registerDelivery({
+    orderToken: signToken('order', {
+      storeId: 'default',
+      orderId: '8201',
+      orderNumber: '#8201',
+      email: 'buyer@example.com',
+      total: '10.00',
+      lineItems: []
+    }),
+    recipients: [{ robloxToken: signToken('roblox', { userId: '1', username: 'Player1' }) }]
+  });
+
+  assert.equal(result.saved, true);
+  assert.equal(timers(), before);
+});
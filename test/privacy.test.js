@@ -0,0 +1,120 @@
+// test/privacy.test.js - Erasure and retention of personal data
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage } from './support.js';
+
+useTestStorage('privacy');
+process.env.CLAIM_TOKEN_SECRET = 'test-secret';
+
+const { getClaimRepository, getDocumentStore } = await import('../lib/storage/index.js');
+const { eraseSubjectData, applyRetentionPolicy } = await import('../lib/privacy.js');
+const { recordClaimEvent, listClaimEvents, CLAIM_EVENT_TYPES } = await import('../lib/claim-events.js');
+const { createAttemptLimiter, createPersistentStore } = await import('../lib/rate-limit.js');
+
+const CLIENT_IP = '203.0.113.5';
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+test('erasing a secondary recipient keeps the claim and drops only that account', async () => {
+  await getClaimRepository().create('claim-4001', {
+    storeId: 'default',
+    orderId: '4001',
+    email: 'buyer@example.com',
+    status: 'completed',
+    robloxUserId: '1',
+    recipients: [{ robloxUserId: '1', robloxUsername: 'Buyer' }, { robloxUserId: '2', robloxUsername: 'Friend' }],
+    robloxUserIds: ['1', '2'],
+    allocations: [
+      { lineItemId: 'a', title: 'Dragonfly', robloxUserId: '1', robloxUsername: 'Buyer', quantity: 1, deliveredQuantity: 1 },
+      { lineItemId: 'a', title: 'Dragonfly', robloxUserId: '2', robloxUsername: 'Friend', quantity: 1, deliveredQuantity: 1 }
+    ],
+    createdAt: new Date().toISOString()
+  });
+
+  const result = await eraseSubjectData({ robloxUserId: '2' }, 'admin');
+
+  assert.ok(result.ok);
+  assert.deepEqual(result.erasedClaimIds, []);
+  assert.deepEqual(result.removedFromClaimIds, ['claim-4001']);
+  const claim = await getClaimRepository().getById('claim-4001');
+  assert.equal(claim.email, 'buyer@example.com');
+  assert.deepEqual(claim.robloxUserIds, ['1']);
+  assert.deepEqual(claim.recipients.map(recipient => recipient.robloxUserId), ['1']);
+  assert.equal(claim.allocations.some(row => row.robloxUserId === '2' || row.robloxUsername === 'Friend'), false);
+});
+
+test('erasure deletes saved claim page progress and the visit\'s funnel events', async () => {
+  await getClaimRepository().create('claim-4003', {
+    storeId: 'default',
+    orderId: '4003',
+    email: 'leaver@example.com',
+    status: 'completed',
+    robloxUserId: '3',
+    createdAt: new Date().toISOString()
+  });
+  const sessions = getDocumentStore().collection('claim_sessions');
+  const funnelEvents = getDocumentStore().collection('funnel_events');
+  await sessions.set('session-current', {
+    progress: { step: 4, orderData: { orderId: '4003', orderNumber: '#4003' }, funnelSessionId: 'visit-4003' }
+  });
+  await sessions.set('session-older', {
+    progress: { step: 2, orderData: { orderId: '4999', orderNumber: '#4999', email: 'leaver@example.com' } }
+  });
+  await sessions.set('session-someone-else', {
+    progress: { step: 2, orderData: { orderId: '4998', orderNumber: '#4998' }, funnelSessionId: 'visit-4998' }
+  });
+  await funnelEvents.set('event-4003', { type: 'step_completed', step: 1, sessionId: 'visit-4003' });
+  await funnelEvents.set('event-4998', { type: 'step_completed', step: 1, sessionId: 'visit-4998' });
+
+  const result = await eraseSubjectData({ email: 'leaver@example.com' }, 'admin');
+
+  assert.ok(result.ok);
+  assert.deepEqual((await sessions.find({})).map(session => session.id), ['session-someone-else']);
+  assert.deepEqual((await funnelEvents.find({})).map(event => event.id), ['event-4998']);
+});
+
+test('retention strips the IP address from cancelled claims and their history', async () => {
+  await getClaimRepository().create('claim-4002', {
+    storeId: 'default',
+    orderId: '4002',
+    email: 'buyer@example.com',
+    status: 'cancelled',
+    closedAt: daysAgo(200),
+    ipAddress: CLIENT_IP,
+    userAgent: 'Browser',
+    createdAt: daysAgo(201)
+  });
+  await recordClaimEvent('claim-4002', CLAIM_EVENT_TYPES.CREATED, 'customer', { ipAddress: CLIENT_IP, userAgent: 'Browser' });
+
+  const result = await applyRetentionPolicy();
+
+  assert.equal(result.redacted, 1);
+  const claim = await getClaimRepository().getById('claim-4002');
+  assert.equal(claim.ipAddress, null);
+  assert.notEqual(claim.email, 'buyer@example.com');
+  const [created] = await listClaimEvents('claim-4002');
+  assert.equal(created.ipAddress, null);
+});
+
+test('rate limit entries keep no raw IP addresses and are removed once expired', async () => {
+  const limiter = createAttemptLimiter({
+    name: 'test_order',
+    store: createPersistentStore(),
+    maxFailures: 5,
+    windowMs: 60000,
+    baseLockoutMs: 60000
+  });
+  await limiter.recordFailure('AG1002', CLIENT_IP);
+
+  const entries = () => getDocumentStore().collection('rate_limits').find({});
+  assert.equal(JSON.stringify(await entries()).includes(CLIENT_IP), false);
+
+  const [entry] = await entries();
+  await getDocumentStore().collection('rate_limits').update(entry.id, () => ({ changes: { expiresAt: daysAgo(1) } }));
+  const result = await applyRetentionPolicy();
+
+  assert.equal(result.expiredRateLimits, 1);
+  assert.deepEqual(await entries(), []);
+});
@@ -0,0 +1,51 @@
+// test/registrations.test.js - One claim per Shopify order
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage } from './support.js';
+
+useTestStorage('registrations');
+
+const { getClaimRepository } = await import('../lib/storage/index.js');
+const { saveRegistration } = await import('../lib/registrations.js');
+
+function registration(orderId, { registrationId, userId = '1', idempotencyKey = null } = {}) {
+  return {
+    registrationId,
+    idempotencyKey,
+    order: { orderId, orderNumber: `#${orderId}`, email: 'buyer@example.com', total: '10.00' },
+    roblox: { userId, username: `Player${userId}` }
+  };
+}
+
+test('registering the same order to the same account again returns the first claim', async () => {
+  const first = await saveRegistration(registration('6001', { registrationId: 'AG_6001_A' }));
+  const repeat = await saveRegistration(registration('6001', { registrationId: 'AG_6001_B' }));
+
+  assert.equal(first.outcome, 'created');
+  assert.equal(repeat.outcome, 'existing');
+  assert.equal(repeat.success, true);
+  assert.equal(repeat.registrationId, 'AG_6001_A');
+  assert.equal(repeat.claimId, first.claimId);
+  const claims = await getClaimRepository().findByOrder({ orderId: '6001' });
+  assert.equal(claims.length, 1);
+});
+
+test('a repeated idempotency key returns the first claim even for another account', async () => {
+  await saveRegistration(registration('6002', { registrationId: 'AG_6002_A', idempotencyKey: 'retry-key-6002' }));
+  const repeat = await saveRegistration(registration('6002', { registrationId: 'AG_6002_B', userId: '2', idempotencyKey: 'retry-key-6002' }));
+
+  assert.equal(repeat.outcome, 'existing');
+  assert.equal(repeat.registrationId, 'AG_6002_A');
+});
+
+test('registering a claimed order to another account is a conflict', async () => {
+  await saveRegistration(registration('6003', { registrationId: 'AG_6003_A' }));
+  const other = await saveRegistration(registration('6003', { registrationId: 'AG_6003_B', userId: '2' }));
+
+  assert.equal(other.outcome, 'conflict');
+  assert.equal(other.success, false);
+  assert.equal(other.registrationId, null);
+  const claim = await getClaimRepository().getById(other.claimId);
+  assert.equal(claim.robloxUserId, '1');
+  assert.equal(claim.registrationId, 'AG_6003_A');
+});
@@ -0,0 +1,46 @@
+// test/scheduling.test.js - Booked delivery slots and closing claims
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage } from './support.js';
+
+useTestStorage('scheduling');
+
+const { getClaimRepository } = await import('../lib/storage/index.js');
+const { saveDeliveryStaff } = await import('../lib/roster.js');
+const { publishAvailabilityWindow, bookDeliverySlot, listBookableSlots } = await import('../lib/scheduling.js');
+const { CLAIM_STATUSES, transitionClaim } = await import('../lib/claims.js');
+
+async function publishSingleSlot() {
+  await saveDeliveryStaff({ staffId: 'alex', robloxUserId: '7' }, 'admin');
+  const startsAt = new Date(Date.now() + 60 * 60000);
+  const published = await publishAvailabilityWindow({
+    staffId: 'alex',
+    startsAt: startsAt.toISOString(),
+    endsAt: new Date(startsAt.getTime() + 30 * 60000).toISOString(),
+    slotMinutes: 30,
+    capacityPerSlot: 1
+  }, 'admin', { admin: true });
+  assert.ok(published.ok);
+  return `${published.window.windowId}-0`;
+}
+
+test('cancelling a booked claim frees its place in the slot', async () => {
+  const slotId = await publishSingleSlot();
+  await getClaimRepository().create('claim-3001', {
+    storeId: 'default',
+    orderId: '3001',
+    status: CLAIM_STATUSES.PENDING,
+    createdAt: new Date().toISOString()
+  });
+
+  const booking = await bookDeliverySlot('claim-3001', slotId, 'customer', { customer: true });
+  assert.ok(booking.ok);
+  assert.equal((await listBookableSlots('default')).some(slot => slot.slotId === slotId), false);
+
+  const cancelled = await transitionClaim('claim-3001', CLAIM_STATUSES.CANCELLED, 'staff');
+  assert.ok(cancelled.ok);
+  assert.equal(cancelled.claim.deliverySlot, null);
+
+  const slot = (await listBookableSlots('default')).find(candidate => candidate.slotId === slotId);
+  assert.equal(slot?.remaining, 1);
+});
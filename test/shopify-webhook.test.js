@@ -0,0 +1,107 @@
+// test/shopify-webhook.test.js - Shopify webhooks through the runtime's request wrapper
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { useTestStorage, runtimeRequest, callHandler } from './support.js';
+
+useTestStorage('shopify-webhook');
+process.env.SHOPIFY_SHOP_DOMAIN = 'garden.myshopify.com';
+process.env.SHOPIFY_ACCESS_TOKEN = 'token';
+process.env.SHOPIFY_WEBHOOK_SECRET = 'webhook-secret';
+
+const { default: handler } = await import('../api/shopify-webhook.js');
+const { getClaimRepository } = await import('../lib/storage/index.js');
+const { saveEligibilityRules } = await import('../lib/eligibility.js');
+
+function webhookRequest(topic, payload, { secret = 'webhook-secret' } = {}) {
+  const body = JSON.stringify(payload);
+  return runtimeRequest({
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Shop-Domain': 'garden.myshopify.com',
+      'X-Shopify-Topic': topic,
+      'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', secret).update(body).digest('base64')
+    },
+    body
+  });
+}
+
+async function createClaim(claimId, orderId) {
+  await getClaimRepository().create(claimId, {
+    storeId: 'default',
+    orderId,
+    orderNumber: `#${orderId}`,
+    status: 'pending_delivery',
+    createdAt: new Date().toISOString()
+  });
+}
+
+test('accepts a genuinely signed webhook and cancels the claim', async () => {
+  await createClaim('claim-1001', '1001');
+
+  const response = await callHandler(handler, await webhookRequest('orders/cancelled', {
+    id: 1001,
+    cancelled_at: '2026-10-01T00:00:00Z',
+    financial_status: 'voided'
+  }));
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.body.claims.map(claim => claim.action), ['cancelled']);
+  assert.equal((await getClaimRepository().getById('claim-1001')).status, 'cancelled');
+});
+
+test('rejects a webhook signed with another secret', async () => {
+  const response = await callHandler(handler, await webhookRequest('orders/cancelled', { id: 1002 }, { secret: 'wrong' }));
+
+  assert.equal(response.statusCode, 401);
+});
+
+test('keeps claims open for a payment status the store accepts', async () => {
+  await saveEligibilityRules({ allowedFinancialStatuses: ['paid', 'authorized'] }, 'admin');
+  await createClaim('claim-1003', '1003');
+
+  const response = await callHandler(handler, await webhookRequest('orders/updated', {
+    id: 1003,
+    cancelled_at: null,
+    financial_status: 'authorized'
+  }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.action, 'none');
+  assert.equal((await getClaimRepository().getById('claim-1003')).status, 'pending_delivery');
+});
+
+test('a partial refund flags the claim for staff instead of closing it', async () => {
+  await createClaim('claim-1004', '1004');
+  const partialRefund = {
+    id: 1004,
+    cancelled_at: null,
+    financial_status: 'partially_refunded',
+    total_price: '20.00',
+    refunds: [{ id: 1, amount: '5.00' }]
+  };
+
+  const response = await callHandler(handler, await webhookRequest('orders/updated', partialRefund));
+  const repeat = await callHandler(handler, await webhookRequest('orders/updated', partialRefund));
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.body.claims.map(claim => claim.action), ['flagged']);
+  assert.deepEqual(repeat.body.claims.map(claim => claim.action), ['skipped']);
+  const claim = await getClaimRepository().getById('claim-1004');
+  assert.equal(claim.status, 'pending_delivery');
+  assert.equal(claim.partialRefund.refundCount, 1);
+  assert.equal(claim.staffNotes.length, 1);
+});
+
+test('a full refund still refunds the claim', async () => {
+  await createClaim('claim-1005', '1005');
+
+  const response = await callHandler(handler, await webhookRequest('orders/updated', {
+    id: 1005,
+    cancelled_at: null,
+    financial_status: 'refunded'
+  }));
+
+  assert.deepEqual(response.body.claims.map(claim => claim.action), ['refunded']);
+  assert.equal((await getClaimRepository().getById('claim-1005')).status, 'refunded');
+});
@@ -0,0 +1,110 @@
+// test/support.js - Shared setup for the node:test suites
+// Handlers run against the file storage backend in a fresh temp file, with
+// requests wrapped the way the Vercel Node runtime wraps them in production.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+
+export function useTestStorage(name) {
+  const file = path.join(os.tmpdir(), `claim-test-${name}-${process.pid}.json`);
+  fs.rmSync(file, { force: true });
+  process.env.DELIVERY_STORAGE = 'file';
+  process.env.DELIVERY_STORAGE_FILE = file;
+  return file;
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  await new Promise((resolve, reject) => {
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+  return Buffer.concat(chunks);
+}
+
+// Mirrors addHelpers() in @vercel/node: a request with a Content-Type is read
+// up front, replayed through req.on('data'/'end') and req.read, and exposed
+// as a lazily parsed req.body.
+async function addRuntimeHelpers(req) {
+  const contentType = req.headers['content-type'];
+  let body = Buffer.from('');
+
+  if (contentType !== undefined) {
+    body = await readStream(req);
+    const replay = new PassThrough();
+    const on = replay.on.bind(replay);
+    const originalOn = req.on.bind(req);
+    req.read = replay.read.bind(replay);
+    req.on = req.addListener = (name, cb) => (
+      name === 'data' || name === 'end' ? on(name, cb) : originalOn(name, cb)
+    );
+    replay.write(body);
+    replay.end();
+  }
+
+  Object.defineProperty(req, 'body', {
+    configurable: true,
+    enumerable: true,
+    get() {
+      const type = (contentType || '').split(';')[0].trim();
+      let value;
+      if (type === 'application/json') {
+        value = body.length ? JSON.parse(body.toString()) : {};
+      } else if (type === 'text/plain') {
+        value = body.toString();
+      } else if (type === 'application/octet-stream') {
+        value = body;
+      }
+      Object.defineProperty(req, 'body', { configurable: true, enumerable: true, writable: true, value });
+      return value;
+    }
+  });
+  return req;
+}
+
+export async function runtimeRequest({ method = 'POST', headers = {}, body = '' } = {}) {
+  const req = new PassThrough();
+  req.method = method;
+  req.url = '/';
+  req.headers = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+  req.connection = {};
+  req.socket = {};
+  req.query = {};
+  req.end(Buffer.from(body));
+  return addRuntimeHelpers(req);
+}
+
+// Resolves with { statusCode, headers, body } once the handler responds
+export function createResponse() {
+  let respond;
+  const done = new Promise((resolve) => { respond = resolve; });
+  const res = {
+    statusCode: 200,
+    headers: {},
+    done,
+    setHeader(key, value) {
+      this.headers[key.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      respond({ statusCode: this.statusCode, headers: this.headers, body });
+      return this;
+    },
+    end() {
+      respond({ statusCode: this.statusCode, headers: this.headers, body: undefined });
+      return this;
+    }
+  };
+  return res;
+}
+
+export async function callHandler(handler, req) {
+  const res = createResponse();
+  await handler(req, res);
+  return res.done;
+}
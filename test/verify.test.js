@@ -0,0 +1,20 @@
+// test/verify.test.js - The claim page's legacy action endpoint
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestStorage, runtimeRequest, callHandler } from './support.js';
+
+useTestStorage('verify');
+delete process.env.CLAIM_TOKEN_SECRET;
+
+const { default: handler } = await import('../api/verify.js');
+
+function action(body) {
+  return runtimeRequest({ headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+test('asking for a delivery team without a token secret is a configuration error', async () => {
+  const response = await callHandler(handler, await action({ action: 'get_delivery_team', orderToken: 'token' }));
+
+  assert.equal(response.statusCode, 500);
+  assert.deepEqual(response.body, { error: 'Server configuration error' });
+});